@@ -3,40 +3,199 @@
  * Main Application Logic
  */
 
+// Node colors for the largest graph clusters (dominant theme or series)
+const GRAPH_PALETTE = [
+    '#2C5F6F', '#D4AF37', '#8E5B8C', '#4C8C4A', '#C0623A',
+    '#3A6EA5', '#5A8F8B', '#B04A5A', '#6B6B9E'
+];
+const GRAPH_OTHER_COLOR = '#B0B0A8';
+
+const PROGRESS_LABELS = {
+    unheard: '未視聴',
+    'in-progress': '視聴中',
+    done: '完了'
+};
+
+// Thrown when episodes-index.json is unreadable or does not match its schema
+class IndexValidationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'IndexValidationError';
+        this.details = details;
+    }
+}
+
 class AdvancedTherapistApp {
     constructor() {
         this.episodes = [];
         this.allThemes = [];
         this.filteredEpisodes = [];
+        this.themeCategories = [];
+        this.themeParents = {};
+        this.themeSynonyms = {};
+        this.expandTerm = null;
         this.activeFilters = new Set();
+        this.excludedThemes = new Set();
+        this.themeMatchMode = 'any';
+        this.minThemeScore = 0;
         this.searchQuery = '';
         this.bookmarks = new Set();
-        this.fuse = null;
+        this.collections = [];
+        this.activeCollection = 'all';
+        this.notes = new Map();
+        this.notesChanged = false;
+        this.noteSearchIndex = null;
+        this.progress = new Map();
+        this.progressChanged = false;
+        this.progressFilter = 'all';
+        this.progressPeriod = { from: '', to: '' };
+        this.playbackPositions = new Map();
+        this.sortOrder = 'relevance';
+        this.layout = 'grid';
+        this.series = [];
+        this.learningPaths = [];
+        this.activePath = null;
+        this.pathStep = 0;
+        this.stats = null;
+        this.statsLoaded = false;
+        this.searchEngine = null;
+        this.searchIndex = null;
+        this.searchMatches = new Map();
+        this.searchTextCache = new Map();
+        this.episodeContents = new Map();
         this.network = null;
+        this.graphSettings = { threshold: 0, colorBy: 'theme', themeNodes: false };
+        this.graphLinks = [];
+        this.graphPositions = new Map();
+        this.graphNodes = null;
+        this.graphEdges = null;
+        this.graphBaseStyles = new Map();
+        this.graphHighlight = null;
         this.currentEpisode = null;
+        this.currentView = 'episodes';
+        this.isRestoringUrl = false;
+        this.generatedAt = null;
+        // generatedAt of an index-updated notice that arrived while the index was loading
+        this.pendingIndexUpdate = null;
 
         this.init();
     }
 
     async init() {
+        this.listenToServiceWorker();
         try {
             await this.loadData();
+            if (this.pendingIndexUpdate && this.pendingIndexUpdate !== this.generatedAt) {
+                this.showUpdateBanner(this.pendingIndexUpdate);
+            }
             this.loadBookmarks();
+            this.loadCollections();
+            this.loadNotes();
+            this.loadProgress();
+            this.loadPlaybackPositions();
+            this.loadDisplayPreferences();
             this.setupEventListeners();
             this.renderThemeFilters();
             this.renderEpisodes();
+            this.applyUrlState();
             console.log('App initialized successfully');
         } catch (error) {
             console.error('Failed to initialize app:', error);
-            this.showError('データの読み込みに失敗しました');
+            if (error instanceof IndexValidationError) {
+                this.showError(error.message, error.details);
+            } else if (!navigator.onLine) {
+                this.showError('オフラインのためデータを読み込めませんでした。一度オンラインで開くと、以降はオフラインでも利用できます');
+            } else {
+                this.showError('データの読み込みに失敗しました');
+            }
+        }
+        this.registerServiceWorker();
+    }
+
+    // Attached before loadData(): the service worker revalidates the index during
+    // that very request and may post its notice before the load finishes
+    listenToServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type !== 'index-updated') return;
+            if (this.generatedAt === null) {
+                this.pendingIndexUpdate = event.data.generatedAt;
+            } else if (event.data.generatedAt !== this.generatedAt) {
+                this.showUpdateBanner(event.data.generatedAt);
+            }
+        });
+    }
+
+    // Offline support (sw.js); needs http(s), so opening index.html as a file skips it
+    async registerServiceWorker() {
+        this.updateOnlineStatus();
+        window.addEventListener('online', () => this.updateOnlineStatus());
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        try {
+            await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Offline support unavailable:', error);
         }
+
+        // A page left open on a home visit checks again once back online or in view
+        const checkForUpdate = () => {
+            navigator.serviceWorker.controller?.postMessage({ type: 'check-for-update' });
+        };
+        window.addEventListener('online', checkForUpdate);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') checkForUpdate();
+        });
+    }
+
+    updateOnlineStatus() {
+        document.getElementById('offlineBadge').style.display = navigator.onLine ? 'none' : 'inline-block';
+    }
+
+    showUpdateBanner(generatedAt) {
+        const banner = document.getElementById('updateBanner');
+        const date = new Date(generatedAt);
+        banner.querySelector('.update-banner-date').textContent = Number.isNaN(date.getTime())
+            ? ''
+            : `（${date.toLocaleString('ja-JP')} 生成）`;
+        banner.style.display = 'flex';
     }
 
     async loadData() {
         const response = await fetch('data/episodes-index.json');
-        const data = await response.json();
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new IndexValidationError(
+                'エピソードデータ（episodes-index.json）をJSONとして読み込めませんでした',
+                [error.message]
+            );
+        }
+        await this.validateIndex(data);
+
         this.episodes = data.episodes;
         this.filteredEpisodes = [...this.episodes];
+        this.generatedAt = data.generatedAt;
+
+        // Older indexes have no series data; derive it from the episode IDs
+        this.episodes.forEach(ep => {
+            if (ep.series === undefined) Object.assign(ep, this.parseEpisodeId(ep.id));
+        });
+        this.series = Array.isArray(data.series) ? data.series : this.groupSeries(this.episodes);
+        this.learningPaths = data.learningPaths || [];
+
+        // Precomputed layout and deduplicated edges; older indexes only have
+        // relatedEpisodes, so their graph is laid out by physics in the browser
+        if (data.graph) {
+            this.graphLinks = data.graph.edges;
+            this.graphPositions = new Map(data.graph.nodes.map(node => [node.id, { x: node.x, y: node.y }]));
+        } else {
+            this.graphLinks = this.collectGraphLinks(this.episodes);
+        }
 
         // Extract all unique themes
         const themesSet = new Set();
@@ -44,13 +203,170 @@ class AdvancedTherapistApp {
             ep.themes.forEach(theme => themesSet.add(theme));
         });
         this.allThemes = Array.from(themesSet).sort();
+        this.themeCategories = await this.loadThemeCategories();
+
+        // Metadata-only n-gram index until the full-text index arrives
+        this.searchEngine = SearchCore.SearchIndex.build(
+            this.episodes.map(ep => this.toSearchDocument(ep))
+        );
+
+        // Full-text index is large, so load it in the background
+        this.loadSearchIndex();
+    }
+
+    // Reject an index that does not match data/episodes-index.schema.json
+    async validateIndex(data) {
+        let schema;
+        try {
+            const response = await fetch('data/episodes-index.schema.json');
+            schema = await response.json();
+        } catch (error) {
+            console.warn('Index schema unavailable, skipping validation:', error);
+            return;
+        }
+
+        const details = SchemaValidator.validate(schema, data)
+            .map(error => `${error.path || '(root)'}: ${error.message}`);
+
+        if (details.length === 0) {
+            const ids = data.episodes.map(ep => ep.id);
+            ids.filter((id, i) => ids.indexOf(id) !== i).forEach(id => {
+                details.push(`episodes: duplicate id "${id}"`);
+            });
+            (data.learningPaths || []).forEach((learningPath, i) => {
+                learningPath.steps.filter(step => !ids.includes(step.episodeId)).forEach(step => {
+                    details.push(`learningPaths[${i}]: unknown episode "${step.episodeId}"`);
+                });
+            });
+        }
+
+        if (details.length > 0) {
+            throw new IndexValidationError(
+                'エピソードデータ（episodes-index.json）の形式が正しくありません',
+                details
+            );
+        }
+    }
+
+    // Categories, sub-themes and synonyms come from themes.json (generated from
+    // taxonomy.json); fall back to a single flat group
+    async loadThemeCategories() {
+        try {
+            const response = await fetch('data/themes.json');
+            const data = await response.json();
+            this.themeParents = data.parents || {};
+            this.themeSynonyms = (data.synonyms && data.synonyms.themes) || {};
+            this.expandTerm = SearchCore.createTermExpander(data);
+
+            if (Array.isArray(data.categories)) {
+                const categories = data.categories
+                    .map(category => ({
+                        ...category,
+                        themes: category.themes.filter(theme => this.allThemes.includes(theme))
+                    }))
+                    .filter(category => category.themes.length > 0);
+
+                const categorized = new Set(categories.flatMap(category => category.themes));
+                const others = this.allThemes.filter(theme => !categorized.has(theme));
+                if (others.length > 0) {
+                    categories.push({ id: 'other', label: 'その他', themes: others });
+                }
+                return categories;
+            }
+        } catch (error) {
+            console.warn('Theme categories unavailable:', error);
+        }
+        return [{ id: 'all', label: 'テーマ', themes: this.allThemes }];
+    }
+
+    // "7-2" -> series "7", part 2 (same rule as data-processor.js)
+    parseEpisodeId(id) {
+        const [series, part] = id.replace(/\d+/g, digits => String(parseInt(digits, 10))).split('-');
+        return { series, part: part !== undefined ? parseInt(part, 10) : null };
+    }
+
+    // One link per related pair, keeping the stronger direction
+    collectGraphLinks(episodes) {
+        const linksByPair = new Map();
+        episodes.forEach(ep => {
+            ep.relatedEpisodes.forEach(rel => {
+                const [from, to] = [ep.id, rel.id].sort();
+                const pair = `${from}|${to}`;
+                if (!linksByPair.has(pair) || rel.similarity > linksByPair.get(pair).similarity) {
+                    linksByPair.set(pair, { from, to, similarity: rel.similarity, sharedTerms: rel.sharedTerms || [] });
+                }
+            });
+        });
+        return [...linksByPair.values()];
+    }
 
-        // Initialize Fuse.js for fuzzy search
-        this.fuse = new Fuse(this.episodes, {
-            keys: ['title', 'summary', 'themes', 'keywords', 'sections'],
-            threshold: 0.3,
-            includeScore: true
+    groupSeries(episodes) {
+        const seriesById = new Map();
+        episodes.forEach(ep => {
+            if (!seriesById.has(ep.series)) {
+                seriesById.set(ep.series, {
+                    id: ep.series,
+                    number: ep.series === '番外編' ? null : parseInt(ep.series, 10),
+                    title: ep.series === '番外編' ? '番外編' : ep.title,
+                    parts: []
+                });
+            }
+            seriesById.get(ep.series).parts.push({ id: ep.id, part: ep.part, title: ep.title });
         });
+        return [...seriesById.values()];
+    }
+
+    toSearchDocument(episode) {
+        return {
+            id: episode.id,
+            fields: {
+                title: episode.title,
+                themes: episode.themes,
+                keywords: episode.keywords,
+                sections: episode.sections,
+                summary: episode.summary
+            }
+        };
+    }
+
+    async loadSearchIndex() {
+        try {
+            const response = await fetch('data/search-index.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.searchIndex = new Map(
+                data.documents.map(doc => [doc.id, doc.passages])
+            );
+            if (data.index) {
+                this.searchEngine = SearchCore.SearchIndex.fromJSON(data.index);
+            }
+            this.searchTextCache.clear();
+        } catch (error) {
+            console.warn('Full-text index unavailable, searching summaries only:', error);
+            this.searchIndex = null;
+        }
+
+        if (this.searchQuery) {
+            this.applyFilters();
+        }
+    }
+
+    // Aggregates from the data processor (data/stats.json, loaded on first
+    // use); older data sets have none
+    async loadStats() {
+        try {
+            const response = await fetch('data/stats.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.stats = await response.json();
+        } catch (error) {
+            console.warn('Statistics unavailable:', error);
+            this.stats = null;
+        }
+        this.statsLoaded = true;
     }
 
     loadBookmarks() {
@@ -65,9 +381,252 @@ class AdvancedTherapistApp {
             JSON.stringify([...this.bookmarks]));
     }
 
+    // Named, ordered subsets of the bookmarks: [{ id, name, episodeIds }]
+    loadCollections() {
+        const saved = localStorage.getItem('advancedTherapist_collections');
+        if (saved) {
+            this.collections = JSON.parse(saved).map(collection => ({
+                ...collection,
+                episodeIds: collection.episodeIds.filter(id => this.bookmarks.has(id))
+            }));
+        }
+    }
+
+    saveCollections() {
+        localStorage.setItem('advancedTherapist_collections',
+            JSON.stringify(this.collections));
+    }
+
+    createCollection(name) {
+        // Imports create several collections within the same millisecond
+        const collection = { id: `c${Date.now().toString(36)}-${this.collections.length}`, name, episodeIds: [] };
+        this.collections.push(collection);
+        this.saveCollections();
+        return collection;
+    }
+
+    renameCollection(collectionId, name) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        if (collection) {
+            collection.name = name;
+            this.saveCollections();
+        }
+    }
+
+    // The episodes stay bookmarked
+    deleteCollection(collectionId) {
+        this.collections = this.collections.filter(c => c.id !== collectionId);
+        this.saveCollections();
+        if (this.activeCollection === collectionId) {
+            this.activeCollection = 'all';
+        }
+    }
+
+    // Adding to a collection also bookmarks the episode
+    setInCollection(collectionId, episodeId, included) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        if (!collection) return;
+
+        collection.episodeIds = collection.episodeIds.filter(id => id !== episodeId);
+        if (included) {
+            collection.episodeIds.push(episodeId);
+            if (!this.bookmarks.has(episodeId)) {
+                this.bookmarks.add(episodeId);
+                this.saveBookmarks();
+                this.updateBookmarkButtons(episodeId);
+            }
+        }
+        this.saveCollections();
+    }
+
+    // Move an episode up (-1) or down (+1) within the active collection,
+    // or within all bookmarks
+    moveBookmark(episodeId, offset) {
+        const ids = this.getCollectionIds(this.activeCollection);
+        const from = ids.indexOf(episodeId);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= ids.length) return;
+
+        ids.splice(to, 0, ...ids.splice(from, 1));
+        if (this.activeCollection === 'all') {
+            this.bookmarks = new Set(ids);
+            this.saveBookmarks();
+        } else {
+            this.collections.find(c => c.id === this.activeCollection).episodeIds = ids;
+            this.saveCollections();
+        }
+        this.renderBookmarks();
+    }
+
+    // Bookmarked episode IDs in their saved order ('all' = every bookmark)
+    getCollectionIds(collectionId) {
+        const collection = this.collections.find(c => c.id === collectionId);
+        return collection ? [...collection.episodeIds] : [...this.bookmarks];
+    }
+
+    // Private notes and tags per episode: id -> { text, tags, updatedAt }
+    loadNotes() {
+        const saved = localStorage.getItem('advancedTherapist_notes');
+        if (saved) {
+            this.notes = new Map(Object.entries(JSON.parse(saved)));
+        }
+    }
+
+    saveNote(episodeId, text, tags) {
+        if (text.trim() || tags.length > 0) {
+            this.notes.set(episodeId, { text, tags, updatedAt: new Date().toISOString() });
+        } else {
+            this.notes.delete(episodeId);
+        }
+        localStorage.setItem('advancedTherapist_notes',
+            JSON.stringify(Object.fromEntries(this.notes)));
+        this.noteSearchIndex = null;
+        this.notesChanged = true;
+    }
+
+    // "評価, 新人向け　復習" -> ["評価", "新人向け", "復習"]
+    parseTags(input) {
+        return [...new Set(input.split(/[,、\s]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean))];
+    }
+
+    // Episode ID -> { status: unheard | in-progress | done, lastViewed, completedAt }
+    // (ms since epoch); episodes without an entry are unheard
+    loadProgress() {
+        const saved = localStorage.getItem('advancedTherapist_progress');
+        if (saved) {
+            this.progress = new Map(Object.entries(JSON.parse(saved)));
+            return;
+        }
+
+        // Earlier versions only recorded when a detail was last opened
+        const viewed = localStorage.getItem('advancedTherapist_viewed');
+        if (viewed) {
+            Object.entries(JSON.parse(viewed)).forEach(([id, lastViewed]) => {
+                this.progress.set(id, { status: 'in-progress', lastViewed: Number(lastViewed) || null });
+            });
+            this.saveProgress();
+            localStorage.removeItem('advancedTherapist_viewed');
+        }
+    }
+
+    saveProgress() {
+        localStorage.setItem('advancedTherapist_progress',
+            JSON.stringify(Object.fromEntries(this.progress)));
+    }
+
+    getProgressStatus(episodeId) {
+        return this.progress.get(episodeId)?.status || 'unheard';
+    }
+
+    // Opening an episode starts it; finishing is up to the user (or the audio)
+    markViewed(episodeId) {
+        const entry = this.progress.get(episodeId) || { status: 'unheard' };
+        this.progress.set(episodeId, {
+            ...entry,
+            status: entry.status === 'unheard' ? 'in-progress' : entry.status,
+            lastViewed: Date.now()
+        });
+        this.saveProgress();
+        this.refreshProgressViews();
+    }
+
+    setProgressStatus(episodeId, status) {
+        const entry = this.progress.get(episodeId) || {};
+        this.progress.set(episodeId, {
+            ...entry,
+            status,
+            completedAt: status === 'done' ? (entry.completedAt || Date.now()) : null
+        });
+        this.saveProgress();
+        this.refreshProgressViews();
+        if (this.currentEpisode?.id === episodeId) {
+            this.renderModalProgress(this.currentEpisode);
+        }
+    }
+
+    // Views behind the modal are redrawn now, the episode cards when it closes
+    refreshProgressViews() {
+        this.progressChanged = true;
+        if (this.currentView === 'series') {
+            this.renderSeries();
+        } else if (this.currentView === 'progress') {
+            this.renderProgressDashboard();
+        } else if (this.currentView === 'paths') {
+            this.renderLearningPaths();
+        }
+    }
+
+    // Episode ID -> seconds into its audio where playback stopped
+    loadPlaybackPositions() {
+        const saved = localStorage.getItem('advancedTherapist_playback');
+        if (saved) {
+            this.playbackPositions = new Map(Object.entries(JSON.parse(saved)));
+        }
+    }
+
+    storePlaybackPositions() {
+        localStorage.setItem('advancedTherapist_playback',
+            JSON.stringify(Object.fromEntries(this.playbackPositions)));
+    }
+
+    loadDisplayPreferences() {
+        const saved = JSON.parse(localStorage.getItem('advancedTherapist_display') || '{}');
+        const sortSelect = document.getElementById('sortOrder');
+        if ([...sortSelect.options].some(option => option.value === saved.sort)) {
+            this.sortOrder = saved.sort;
+        }
+        if (saved.layout === 'list') {
+            this.layout = 'list';
+        }
+        sortSelect.value = this.sortOrder;
+        this.updateLayoutButtons();
+    }
+
+    saveDisplayPreferences() {
+        localStorage.setItem('advancedTherapist_display',
+            JSON.stringify({ sort: this.sortOrder, layout: this.layout }));
+    }
+
+    setSortOrder(sortOrder) {
+        this.sortOrder = sortOrder;
+        this.saveDisplayPreferences();
+        this.applyFilters();
+    }
+
+    setLayout(layout) {
+        this.layout = layout;
+        this.saveDisplayPreferences();
+        this.updateLayoutButtons();
+    }
+
+    updateLayoutButtons() {
+        document.getElementById('episodesGrid').classList.toggle('layout-list', this.layout === 'list');
+        document.querySelectorAll('.layout-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.layout === this.layout);
+        });
+    }
+
+    // "relevance" keeps the search / theme ranking from applyFilters; the
+    // other orders are stable, so ties stay in that ranking
+    sortEpisodes(episodes) {
+        const position = new Map(this.episodes.map((ep, i) => [ep.id, i]));
+        const lastViewed = ep => Number(this.progress.get(ep.id)?.lastViewed) || 0;
+        const keys = {
+            episode: (a, b) => position.get(a.id) - position.get(b.id),
+            related: (a, b) => b.relatedEpisodes.length - a.relatedEpisodes.length,
+            sections: (a, b) => b.sections.length - a.sections.length,
+            recent: (a, b) => lastViewed(b) - lastViewed(a)
+        };
+        return keys[this.sortOrder] ? [...episodes].sort(keys[this.sortOrder]) : episodes;
+    }
+
     toggleBookmark(episodeId) {
         if (this.bookmarks.has(episodeId)) {
             this.bookmarks.delete(episodeId);
+            this.collections.forEach(collection => {
+                collection.episodeIds = collection.episodeIds.filter(id => id !== episodeId);
+            });
+            this.saveCollections();
         } else {
             this.bookmarks.add(episodeId);
         }
@@ -107,6 +666,31 @@ class AdvancedTherapistApp {
             });
         });
 
+        // Theme match mode
+        document.querySelectorAll('.match-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setThemeMatchMode(btn.dataset.mode));
+        });
+
+        // Sort order and layout
+        document.getElementById('sortOrder').addEventListener('change', (e) => {
+            this.setSortOrder(e.target.value);
+        });
+
+        document.querySelectorAll('.layout-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setLayout(btn.dataset.layout));
+        });
+
+        // Minimum theme relevance
+        document.getElementById('minRelevance').addEventListener('change', (e) => {
+            this.minThemeScore = parseFloat(e.target.value) || 0;
+            this.applyFilters();
+        });
+
+        document.getElementById('progressFilter').addEventListener('change', (e) => {
+            this.progressFilter = e.target.value;
+            this.applyFilters();
+        });
+
         // Clear filters
         document.getElementById('clearFilters').addEventListener('click', () => {
             this.clearFilters();
@@ -127,38 +711,113 @@ class AdvancedTherapistApp {
             }
         });
 
+        // New data from the service worker
+        document.getElementById('reloadApp').addEventListener('click', () => {
+            location.reload();
+        });
+
+        document.getElementById('dismissUpdate').addEventListener('click', () => {
+            document.getElementById('updateBanner').style.display = 'none';
+        });
+
         // Bookmarks actions
         document.getElementById('exportBookmarks').addEventListener('click', () => {
-            this.exportBookmarks();
+            this.exportBookmarks(document.getElementById('exportFormat').value, {
+                includeNotes: document.getElementById('exportIncludeNotes').checked
+            });
+        });
+
+        const importFile = document.getElementById('importBookmarksFile');
+        document.getElementById('importBookmarks').addEventListener('click', () => {
+            importFile.click();
+        });
+
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files[0];
+            // Allow choosing the same file again
+            importFile.value = '';
+            if (file) {
+                await this.readBookmarkImport(file);
+            }
         });
 
         document.getElementById('clearBookmarks').addEventListener('click', () => {
-            if (confirm('すべてのブックマークを削除しますか?')) {
+            if (confirm('すべてのブックマークを削除しますか?（コレクションは空になり、メモは残ります）')) {
                 this.bookmarks.clear();
+                this.collections.forEach(collection => { collection.episodeIds = []; });
                 this.saveBookmarks();
+                this.saveCollections();
                 this.renderBookmarks();
             }
         });
 
+        // Progress dashboard
+        ['progressFrom', 'progressTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.progressPeriod = {
+                    from: document.getElementById('progressFrom').value,
+                    to: document.getElementById('progressTo').value
+                };
+                this.renderProgressDashboard();
+            });
+        });
+
+        document.getElementById('exportProgress').addEventListener('click', () => {
+            this.exportProgress();
+        });
+
         // Graph controls
+        const graphThreshold = document.getElementById('graphThreshold');
+        graphThreshold.addEventListener('input', () => {
+            this.graphSettings.threshold = parseInt(graphThreshold.value, 10);
+            document.getElementById('graphThresholdValue').textContent = `${graphThreshold.value}%`;
+            this.updateKnowledgeGraph();
+        });
+
+        document.getElementById('graphColorBy').addEventListener('change', (e) => {
+            this.graphSettings.colorBy = e.target.value;
+            this.updateKnowledgeGraph();
+        });
+
+        document.getElementById('graphThemeNodes').addEventListener('change', (e) => {
+            this.graphSettings.themeNodes = e.target.checked;
+            graphThreshold.disabled = e.target.checked;
+            this.updateKnowledgeGraph();
+        });
+
         document.getElementById('resetGraph')?.addEventListener('click', () => {
             if (this.network) {
-                this.network.fit();
+                this.resetGraph();
             }
         });
 
+        document.getElementById('findPath').addEventListener('click', () => {
+            this.showLearningPath();
+        });
+
         document.getElementById('fitGraph')?.addEventListener('click', () => {
             if (this.network) {
                 this.network.fit({ animation: true });
             }
         });
 
+        // Modal share link
+        document.getElementById('modalShare').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+
+        // Browser back/forward
+        window.addEventListener('popstate', () => this.applyUrlState());
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModal();
             }
-            if (e.key === '/' && e.target.tagName !== 'INPUT') {
+            // Typing "/" in a form field or editable element must still work
+            const isEditing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) ||
+                e.target.isContentEditable;
+            if (e.key === '/' && !isEditing) {
                 e.preventDefault();
                 searchInput.focus();
             }
@@ -167,75 +826,373 @@ class AdvancedTherapistApp {
 
     renderThemeFilters() {
         const container = document.getElementById('themeFilters');
-        container.innerHTML = this.allThemes.map(theme => `
-            <div class="theme-tag" data-theme="${theme}">
-                ${theme}
+        container.innerHTML = this.themeCategories.map(category => `
+            <div class="theme-category" data-category="${category.id}">
+                <span class="theme-category-label">${category.label}</span>
+                <div class="theme-category-tags">
+                    ${category.themes.map(theme => `
+                        <div class="theme-tag ${this.themeParents[theme] ? 'sub-theme' : ''}" data-theme="${theme}"
+                             title="${this.getThemeTooltip(theme)}">
+                            ${theme}
+                            <span class="theme-count"></span>
+                        </div>
+                    `).join('')}
+                </div>
             </div>
         `).join('');
 
+        // Chips cycle: neutral -> include -> exclude -> neutral
         container.querySelectorAll('.theme-tag').forEach(tag => {
             tag.addEventListener('click', () => {
                 const theme = tag.dataset.theme;
                 if (this.activeFilters.has(theme)) {
                     this.activeFilters.delete(theme);
-                    tag.classList.remove('active');
+                    this.excludedThemes.add(theme);
+                } else if (this.excludedThemes.has(theme)) {
+                    this.excludedThemes.delete(theme);
                 } else {
                     this.activeFilters.add(theme);
-                    tag.classList.add('active');
                 }
+                this.updateThemeTagStates();
                 this.applyFilters();
             });
         });
-    }
 
-    applyFilters() {
-        let results = [...this.episodes];
+        document.querySelectorAll('.match-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.themeMatchMode);
+        });
 
-        // Apply search
-        if (this.searchQuery) {
-            const searchResults = this.fuse.search(this.searchQuery);
-            results = searchResults.map(r => r.item);
-        }
+        // Older indexes have no relevance scores, so the threshold has no effect
+        document.getElementById('relevanceFilter').style.display =
+            this.episodes.some(ep => ep.themeScores) ? '' : 'none';
 
-        // Apply theme filters
-        if (this.activeFilters.size > 0) {
-            results = results.filter(ep =>
-                ep.themes.some(theme => this.activeFilters.has(theme))
-            );
+        this.updateThemeCounts(this.episodes);
+    }
+
+    getThemeTooltip(theme) {
+        const lines = [];
+        if (this.themeParents[theme]) {
+            lines.push(`${this.themeParents[theme]} のサブテーマ`);
+        }
+        if (this.themeSynonyms[theme]) {
+            lines.push(`同義語: ${this.themeSynonyms[theme].join('、')}`);
         }
+        lines.push('クリックで「含む」→「除外」→「解除」');
+        return this.escapeHtml(lines.join('\n'));
+    }
 
-        this.filteredEpisodes = results;
-        this.renderEpisodes();
-        this.updateFilterStats();
+    // A theme and its sub-themes (うつ counts as メンタルヘルス)
+    getThemeFamily(theme) {
+        const family = [theme];
+        Object.entries(this.themeParents).forEach(([child, parent]) => {
+            if (parent === theme) family.push(...this.getThemeFamily(child));
+        });
+        return family;
     }
 
-    updateFilterStats() {
-        const count = this.filteredEpisodes.length;
-        document.getElementById('resultCount').textContent =
-            `${count}エピソード`;
+    // Relevance of a theme to an episode (0-1); indexes without scores count
+    // every assigned theme as fully relevant
+    getThemeScore(episode, theme) {
+        if (!episode.themes.includes(theme)) return 0;
+        return episode.themeScores ? (episode.themeScores[theme] ?? 0) : 1;
+    }
 
-        const clearBtn = document.getElementById('clearFilters');
-        clearBtn.style.display =
-            (this.activeFilters.size > 0 || this.searchQuery) ? 'block' : 'none';
+    getStrongestThemes(episode) {
+        return [...episode.themes].sort((a, b) =>
+            this.getThemeScore(episode, b) - this.getThemeScore(episode, a)
+        );
     }
 
-    clearFilters() {
-        this.activeFilters.clear();
-        this.searchQuery = '';
-        document.getElementById('searchInput').value = '';
-        document.getElementById('clearSearch').style.display = 'none';
+    // Best relevance among the theme and its sub-themes
+    getThemeFamilyScore(episode, theme) {
+        return Math.max(...this.getThemeFamily(theme).map(member => this.getThemeScore(episode, member)));
+    }
+
+    episodeHasTheme(episode, theme) {
+        const score = this.getThemeFamilyScore(episode, theme);
+        return score > 0 && score >= this.minThemeScore;
+    }
+
+    updateThemeTagStates() {
         document.querySelectorAll('.theme-tag').forEach(tag => {
-            tag.classList.remove('active');
+            const theme = tag.dataset.theme;
+            tag.classList.toggle('active', this.activeFilters.has(theme));
+            tag.classList.toggle('excluded', this.excludedThemes.has(theme));
         });
-        this.applyFilters();
     }
 
-    renderEpisodes() {
-        const grid = document.getElementById('episodesGrid');
-        const noResults = document.getElementById('noResults');
+    // Facet counts: how many of the given episodes carry each theme (or one
+    // of its sub-themes)
+    updateThemeCounts(episodes) {
+        document.querySelectorAll('.theme-tag').forEach(tag => {
+            const theme = tag.dataset.theme;
+            const count = episodes.filter(ep => this.episodeHasTheme(ep, theme)).length;
+            tag.querySelector('.theme-count').textContent = count;
+            tag.classList.toggle('empty', count === 0);
+        });
+    }
 
-        if (this.filteredEpisodes.length === 0) {
-            grid.style.display = 'none';
+    setThemeMatchMode(mode) {
+        this.themeMatchMode = mode;
+        document.querySelectorAll('.match-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        this.applyFilters();
+    }
+
+    applyFilters() {
+        let results = [...this.episodes];
+
+        // Apply search query (field filters, phrases, OR groups; free-text
+        // words are ranked with BM25 over the n-gram index)
+        this.searchMatches = new Map();
+        if (this.searchQuery) {
+            const episodesById = new Map(this.episodes.map(ep => [ep.id, ep]));
+            const parsedQuery = SearchCore.parseQuery(this.searchQuery);
+            results = SearchCore.executeQuery(parsedQuery, {
+                episodes: this.episodes,
+                index: this.getQueryIndex(),
+                getText: ep => this.getSearchText(ep) + this.getNoteSearchText(ep),
+                expandTerm: this.expandTerm
+            }).map(result => episodesById.get(result.id));
+
+            this.searchMatches = this.findPassageMatches(
+                results, SearchCore.getHighlightTerms(parsedQuery)
+            );
+        }
+
+        // Listening progress
+        if (this.progressFilter !== 'all') {
+            results = results.filter(ep => this.getProgressStatus(ep.id) === this.progressFilter);
+        }
+
+        // Apply theme filters: exclusions first, then any-of / all-of
+        if (this.excludedThemes.size > 0) {
+            results = results.filter(ep =>
+                ![...this.excludedThemes].some(theme => this.episodeHasTheme(ep, theme))
+            );
+        }
+
+        const facetBase = results;
+        if (this.activeFilters.size > 0) {
+            const selected = [...this.activeFilters];
+            results = results.filter(ep => this.themeMatchMode === 'all'
+                ? selected.every(theme => this.episodeHasTheme(ep, theme))
+                : selected.some(theme => this.episodeHasTheme(ep, theme))
+            );
+
+            // Without a search ranking, episodes most about the selected themes come first
+            if (!this.searchQuery) {
+                const relevance = ep => selected.reduce((sum, theme) =>
+                    sum + this.getThemeFamilyScore(ep, theme), 0);
+                results.sort((a, b) => relevance(b) - relevance(a));
+            }
+        }
+
+        // In "all" mode a further chip narrows the current results, so count
+        // against them; in "any" mode it widens, so count before theme filtering
+        this.updateThemeCounts(this.themeMatchMode === 'all' ? results : facetBase);
+
+        this.filteredEpisodes = this.sortEpisodes(results);
+        this.renderEpisodes();
+        if (this.currentView === 'graph') {
+            this.updateKnowledgeGraph();
+        }
+        this.updateFilterStats();
+        this.updateUrl('replace');
+    }
+
+    // Episode index plus the personal notes; free-text words match when they
+    // are all found in the episode or all in its note
+    getQueryIndex() {
+        if (this.notes.size === 0) return this.searchEngine;
+
+        if (!this.noteSearchIndex) {
+            this.noteSearchIndex = SearchCore.SearchIndex.build(
+                [...this.notes].map(([id, note]) => ({ id, fields: { note: note.text, tags: note.tags } })),
+                { note: 1, tags: 2 }
+            );
+        }
+        return {
+            search: query => {
+                const scores = new Map();
+                [...this.searchEngine.search(query), ...this.noteSearchIndex.search(query)].forEach(result => {
+                    scores.set(result.id, (scores.get(result.id) || 0) + result.score);
+                });
+                return [...scores].map(([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+            }
+        };
+    }
+
+    // Not cached with getSearchText: notes change while the app is open
+    getNoteSearchText(episode) {
+        const note = this.notes.get(episode.id);
+        return note ? `\n${SearchCore.normalizeText([note.text, ...note.tags].join('\n'))}` : '';
+    }
+
+    getSearchTerms(query) {
+        return SearchCore.getHighlightTerms(SearchCore.parseQuery(query));
+    }
+
+    // Normalized metadata and body text, used for phrase and exclusion matching
+    getSearchText(episode) {
+        if (!this.searchTextCache.has(episode.id)) {
+            const text = [
+                episode.title,
+                episode.summary,
+                ...episode.themes,
+                ...episode.keywords,
+                ...episode.sections,
+                ...this.getPassages(episode).map(passage => passage.text)
+            ].join('\n');
+            this.searchTextCache.set(episode.id, SearchCore.normalizeText(text));
+        }
+        return this.searchTextCache.get(episode.id);
+    }
+
+    getPassages(episode) {
+        if (this.searchIndex && this.searchIndex.has(episode.id)) {
+            return this.searchIndex.get(episode.id);
+        }
+        // Without the full-text index, fall back to the summary
+        return episode.summary ? [{ section: 'サマリー', text: episode.summary }] : [];
+    }
+
+    // Passages of each episode that contain a (normalized) search term
+    findPassageMatches(episodes, terms) {
+        const matches = new Map();
+        if (terms.length === 0) return matches;
+
+        episodes.forEach(episode => {
+            const passages = [];
+
+            this.getPassages(episode).forEach(passage => {
+                const text = SearchCore.normalizeText(passage.text);
+                const hits = terms.filter(term => text.includes(term)).length;
+                if (hits > 0) {
+                    passages.push({ ...passage, hits });
+                }
+            });
+
+            if (passages.length > 0) {
+                matches.set(episode.id, passages.sort((a, b) => b.hits - a.hits));
+            }
+        });
+
+        return matches;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Ranges of the original text whose normalized form matches a term, so
+    // "ＰＴ" in the source is highlighted for the query "pt"
+    findTermRanges(text, terms) {
+        const { text: normalized, offsets } = SearchCore.normalizeWithOffsets(text);
+        const ranges = [];
+
+        terms.forEach(term => {
+            let pos = normalized.indexOf(term);
+            while (pos >= 0) {
+                const end = pos + term.length;
+                ranges.push({
+                    start: offsets[pos],
+                    end: end < offsets.length ? offsets[end] : text.length
+                });
+                pos = normalized.indexOf(term, end);
+            }
+        });
+
+        // Merge overlapping ranges
+        ranges.sort((a, b) => a.start - b.start);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+    }
+
+    highlightTerms(text, terms) {
+        let html = '';
+        let cursor = 0;
+
+        this.findTermRanges(text, terms).forEach(range => {
+            html += this.escapeHtml(text.substring(cursor, range.start));
+            html += `<mark>${this.escapeHtml(text.substring(range.start, range.end))}</mark>`;
+            cursor = range.end;
+        });
+
+        return html + this.escapeHtml(text.substring(cursor));
+    }
+
+    // Cut a window of text around the first hit and highlight all terms in it
+    createSnippet(text, terms, radius = 40) {
+        const ranges = this.findTermRanges(text, terms);
+        const first = ranges.length > 0 ? ranges[0].start : 0;
+
+        const start = Math.max(0, first - radius);
+        const end = Math.min(text.length, first + radius * 2);
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+
+        return prefix + this.highlightTerms(text.substring(start, end), terms) + suffix;
+    }
+
+    renderSnippets(episodeId, limit) {
+        const passages = this.searchMatches.get(episodeId);
+        if (!passages || passages.length === 0) return '';
+
+        const terms = this.getSearchTerms(this.searchQuery);
+        return `
+            <div class="episode-snippets">
+                ${passages.slice(0, limit).map(passage => `
+                    <p class="episode-snippet">${this.createSnippet(passage.text, terms)}</p>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    updateFilterStats() {
+        const count = this.filteredEpisodes.length;
+        document.getElementById('resultCount').textContent =
+            `${count}エピソード`;
+
+        const clearBtn = document.getElementById('clearFilters');
+        clearBtn.style.display =
+            (this.activeFilters.size > 0 || this.excludedThemes.size > 0 ||
+             this.minThemeScore > 0 || this.progressFilter !== 'all' || this.searchQuery)
+                ? 'block' : 'none';
+    }
+
+    clearFilters() {
+        this.activeFilters.clear();
+        this.excludedThemes.clear();
+        this.minThemeScore = 0;
+        document.getElementById('minRelevance').value = '0';
+        this.progressFilter = 'all';
+        document.getElementById('progressFilter').value = 'all';
+        this.searchQuery = '';
+        document.getElementById('searchInput').value = '';
+        document.getElementById('clearSearch').style.display = 'none';
+        this.updateThemeTagStates();
+        this.applyFilters();
+    }
+
+    renderEpisodes() {
+        const grid = document.getElementById('episodesGrid');
+        const noResults = document.getElementById('noResults');
+
+        if (this.filteredEpisodes.length === 0) {
+            grid.style.display = 'none';
             noResults.style.display = 'block';
             return;
         }
@@ -269,14 +1226,15 @@ class AdvancedTherapistApp {
 
     createEpisodeCard(episode) {
         const isBookmarked = this.bookmarks.has(episode.id);
-        const themesHtml = episode.themes.slice(0, 3).map(theme =>
-            `<span class="theme-badge">${theme}</span>`
+        const themesHtml = this.getStrongestThemes(episode).slice(0, 3).map(theme =>
+            this.renderThemeBadge(episode, theme)
         ).join('');
 
         return `
             <div class="episode-card" data-episode-id="${episode.id}">
                 <div class="episode-header">
                     <div class="episode-badge">EP ${episode.id}</div>
+                    ${this.renderProgressBadge(episode.id)}
                     <button class="bookmark-btn ${isBookmarked ? 'active' : ''}" 
                             data-episode-id="${episode.id}"
                             aria-label="ブックマーク">
@@ -287,7 +1245,9 @@ class AdvancedTherapistApp {
                 </div>
                 <h3 class="episode-title">${episode.title}</h3>
                 <p class="episode-summary">${episode.summary}</p>
+                ${this.renderSnippets(episode.id, 2)}
                 <div class="episode-themes">${themesHtml}</div>
+                ${this.renderNotePreview(episode)}
                 <div class="episode-meta">
                     <span>${episode.sections.length} セクション</span>
                     <span>${episode.relatedEpisodes.length} 関連</span>
@@ -296,10 +1256,205 @@ class AdvancedTherapistApp {
         `;
     }
 
+    // Unheard episodes stay unmarked so the badges stand out
+    renderProgressBadge(episodeId) {
+        const status = this.getProgressStatus(episodeId);
+        if (status === 'unheard') return '';
+        return `<span class="progress-badge ${status}">${PROGRESS_LABELS[status]}</span>`;
+    }
+
+    renderNotePreview(episode) {
+        const note = this.notes.get(episode.id);
+        if (!note) return '';
+
+        return `
+            <div class="note-preview">
+                ${note.tags.map(tag => `<span class="note-tag">#${this.escapeHtml(tag)}</span>`).join('')}
+                ${note.text ? `<p class="note-preview-text">${this.escapeHtml(note.text)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    getSeries(episode) {
+        return this.series.find(series => series.id === episode.series) || null;
+    }
+
+    renderSeriesNav(episode) {
+        const series = this.getSeries(episode);
+        if (!series || series.parts.length < 2) return '';
+
+        const index = series.parts.findIndex(part => part.id === episode.id);
+        const prev = series.parts[index - 1];
+        const next = series.parts[index + 1];
+        const label = series.number !== null ? `シリーズ ${series.number}` : series.title;
+        const button = (part, className, text) => (part ? `
+            <button class="series-nav-btn ${className}" data-episode-id="${part.id}"
+                    title="EP ${part.id} ${this.escapeHtml(part.title)}">${text}</button>
+        ` : '<span class="series-nav-placeholder"></span>');
+
+        return `
+            ${button(prev, 'prev', '← 前のパート')}
+            <span class="series-nav-label">${this.escapeHtml(label)}・パート ${index + 1} / ${series.parts.length}</span>
+            ${button(next, 'next', '次のパート →')}
+        `;
+    }
+
+    renderSeries() {
+        const container = document.getElementById('seriesList');
+        container.innerHTML = this.series.map(series => {
+            const done = series.parts.filter(part => this.getProgressStatus(part.id) === 'done').length;
+            const percent = Math.round((done / series.parts.length) * 100);
+            const label = series.number !== null ? `シリーズ ${series.number}` : '番外編';
+
+            return `
+                <div class="series-card ${done === series.parts.length ? 'completed' : ''}">
+                    <div class="series-header">
+                        <span class="episode-badge">${label}</span>
+                        <span class="series-progress-label">${done} / ${series.parts.length} 完了</span>
+                    </div>
+                    <h3 class="series-title">${this.escapeHtml(series.title)}</h3>
+                    <div class="series-progress" role="progressbar" aria-valuenow="${percent}"
+                         aria-valuemin="0" aria-valuemax="100">
+                        <div class="series-progress-bar" style="width: ${percent}%"></div>
+                    </div>
+                    <ol class="series-parts">
+                        ${series.parts.map(part => `
+                            <li class="series-part ${this.getProgressStatus(part.id)}"
+                                data-episode-id="${part.id}">
+                                <span class="series-part-id">EP ${part.id}</span>
+                                <span class="series-part-title">${this.escapeHtml(part.title)}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.series-part').forEach(item => {
+            item.addEventListener('click', () => this.showEpisodeDetail(item.dataset.episodeId));
+        });
+    }
+
+    // Curated curricula (learning-paths/ in the data processor): the list of
+    // paths, or the active one walked through step by step
+    renderLearningPaths() {
+        const list = document.getElementById('pathList');
+        const walk = document.getElementById('pathWalk');
+        const learningPath = this.learningPaths.find(p => p.id === this.activePath);
+        document.getElementById('noPaths').style.display = this.learningPaths.length === 0 ? 'block' : 'none';
+
+        if (!learningPath) {
+            walk.style.display = 'none';
+            list.style.display = '';
+            list.innerHTML = this.learningPaths.map(p => {
+                const done = p.steps.filter(step => this.getProgressStatus(step.episodeId) === 'done').length;
+                const percent = Math.round((done / p.steps.length) * 100);
+                return `
+                    <div class="series-card path-card ${done === p.steps.length ? 'completed' : ''}" data-path-id="${this.escapeHtml(p.id)}">
+                        <div class="series-header">
+                            <span class="episode-badge">${p.steps.length} ステップ</span>
+                            <span class="series-progress-label">${done} / ${p.steps.length} 完了</span>
+                        </div>
+                        <h3 class="series-title">${this.escapeHtml(p.title)}</h3>
+                        ${p.description ? `<p class="path-description">${this.escapeHtml(p.description)}</p>` : ''}
+                        <div class="series-progress" role="progressbar" aria-valuenow="${percent}"
+                             aria-valuemin="0" aria-valuemax="100">
+                            <div class="series-progress-bar" style="width: ${percent}%"></div>
+                        </div>
+                        <button class="btn-secondary">${done > 0 ? '続きから' : 'はじめる'}</button>
+                    </div>
+                `;
+            }).join('');
+
+            list.querySelectorAll('.path-card').forEach(card => {
+                card.addEventListener('click', () => this.openLearningPath(card.dataset.pathId));
+            });
+            return;
+        }
+
+        list.style.display = 'none';
+        walk.style.display = '';
+        const episodesById = new Map(this.episodes.map(ep => [ep.id, ep]));
+        const index = Math.min(this.pathStep, learningPath.steps.length - 1);
+        const step = learningPath.steps[index];
+        const episode = episodesById.get(step.episodeId);
+        const isLast = index === learningPath.steps.length - 1;
+        const isDone = this.getProgressStatus(step.episodeId) === 'done';
+
+        walk.innerHTML = `
+            <button class="path-back" data-action="list">← 学習パス一覧</button>
+            <h3 class="path-walk-title">${this.escapeHtml(learningPath.title)}</h3>
+            ${learningPath.description ? `<p class="path-description">${this.escapeHtml(learningPath.description)}</p>` : ''}
+            <ol class="learning-path-steps">
+                ${learningPath.steps.map((s, i) => `
+                    <li class="learning-path-step ${i === index ? 'current' : ''} ${this.getProgressStatus(s.episodeId)}">
+                        <button data-step="${i}" ${i === index ? 'aria-current="step"' : ''}>
+                            <span class="learning-path-step-number">${i + 1}</span>
+                            <span class="series-part-id">EP ${s.episodeId}</span>
+                            <span class="learning-path-step-title">${this.escapeHtml(episodesById.get(s.episodeId)?.title || '')}</span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ol>
+            <div class="learning-path-step-detail">
+                <div class="learning-path-step-label">ステップ ${index + 1} / ${learningPath.steps.length}
+                    ${this.renderProgressBadge(step.episodeId)}</div>
+                <h4 class="learning-path-step-heading">EP ${step.episodeId} ${this.escapeHtml(episode?.title || '')}</h4>
+                ${step.comment ? `<p class="learning-path-step-comment">${this.escapeHtml(step.comment)}</p>` : ''}
+                ${episode?.summary ? `<p class="episode-summary">${this.escapeHtml(episode.summary)}</p>` : ''}
+                <div class="learning-path-step-actions">
+                    <button class="btn-secondary" data-step="${index - 1}" ${index === 0 ? 'disabled' : ''}>← 前のステップ</button>
+                    <button class="btn-secondary" data-action="open">エピソードを開く</button>
+                    ${isDone && isLast ? '<span class="path-complete">このパスを修了しました</span>' : `
+                        <button class="btn-secondary path-next" data-action="complete">
+                            ${isLast ? '完了にする' : isDone ? '次のステップ →' : '完了にして次へ →'}
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+
+        walk.querySelector('[data-action="list"]').addEventListener('click', () => this.openLearningPath(null));
+        walk.querySelectorAll('[data-step]').forEach(btn => {
+            btn.addEventListener('click', () => this.openLearningPath(learningPath.id, parseInt(btn.dataset.step, 10)));
+        });
+        walk.querySelector('[data-action="open"]').addEventListener('click', () => {
+            this.showEpisodeDetail(step.episodeId);
+        });
+        walk.querySelector('[data-action="complete"]')?.addEventListener('click', () => {
+            if (!isDone) this.setProgressStatus(step.episodeId, 'done');
+            this.openLearningPath(learningPath.id, isLast ? index : index + 1);
+        });
+    }
+
+    // Without a step, resume at the first step that is not done yet
+    openLearningPath(pathId, step) {
+        const learningPath = this.learningPaths.find(p => p.id === pathId);
+        this.activePath = learningPath ? learningPath.id : null;
+        if (learningPath) {
+            const firstOpen = learningPath.steps.findIndex(s => this.getProgressStatus(s.episodeId) !== 'done');
+            this.pathStep = step ?? Math.max(firstOpen, 0);
+        }
+        this.renderLearningPaths();
+        this.updateUrl('push', { modalDepth: 0 });
+    }
+
+    renderThemeBadge(episode, theme) {
+        if (!episode.themeScores) {
+            return `<span class="theme-badge">${theme}</span>`;
+        }
+        const score = this.getThemeScore(episode, theme);
+        return `<span class="theme-badge ${score < 0.5 ? 'weak' : ''}"
+                      title="関連度 ${Math.round(score * 100)}%">${theme}</span>`;
+    }
+
     showEpisodeDetail(episodeId) {
         const episode = this.episodes.find(ep => ep.id === episodeId);
         if (!episode) return;
 
+        // Moving to another episode inside the modal replaces the player
+        this.saveAudioPosition();
+
         this.currentEpisode = episode;
         const modal = document.getElementById('episodeModal');
 
@@ -311,24 +1466,57 @@ class AdvancedTherapistApp {
         modalBookmark.classList.toggle('active', this.bookmarks.has(episode.id));
         modalBookmark.dataset.episodeId = episode.id;
 
-        // Themes
-        const themesHtml = episode.themes.map(theme =>
-            `<span class="theme-badge">${theme}</span>`
+        // Themes, strongest first
+        const themesHtml = this.getStrongestThemes(episode).map(theme =>
+            this.renderThemeBadge(episode, theme)
         ).join('');
         document.getElementById('modalThemes').innerHTML = themesHtml;
 
+        // Metadata from front matter (absent in older indexes)
+        document.getElementById('modalInfo').innerHTML = this.renderEpisodeInfo(episode);
+
+        this.renderAudioPlayer(episode);
+
         // Summary
         document.getElementById('modalSummary').textContent = episode.summary;
 
-        // Sections
+        this.renderModalNotes(episode);
+
+        // Search matches
+        const matches = this.searchMatches.get(episode.id);
+        if (matches && matches.length > 0) {
+            const terms = this.getSearchTerms(this.searchQuery);
+            document.getElementById('modalMatches').innerHTML = `
+                <h3>検索に一致した箇所（${matches.length}件）</h3>
+                <ul>
+                    ${matches.slice(0, 20).map(passage => `
+                        <li>
+                            ${passage.section ? `<span class="match-section">${this.escapeHtml(passage.section)}</span>` : ''}
+                            <p>${this.createSnippet(passage.text, terms, 80)}</p>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        } else {
+            document.getElementById('modalMatches').innerHTML = '';
+        }
+
+        // Sections (with a timestamp, clicking one plays the audio from there)
         if (episode.sections.length > 0) {
+            const timestamps = episode.audio ? episode.timestamps || {} : {};
             const sectionsHtml = `
                 <h3>主なセクション</h3>
                 <ul>
-                    ${episode.sections.map(section => `<li>${section}</li>`).join('')}
+                    ${episode.sections.map(section => `<li>${timestamps[section] !== undefined ? `
+                        <button class="section-seek" data-time="${timestamps[section]}"
+                                title="ここから再生">${this.formatTime(timestamps[section])}</button>
+                    ` : ''}${this.escapeHtml(section)}</li>`).join('')}
                 </ul>
             `;
             document.getElementById('modalSections').innerHTML = sectionsHtml;
+            document.querySelectorAll('#modalSections .section-seek').forEach(btn => {
+                btn.addEventListener('click', () => this.seekAudio(Number(btn.dataset.time)));
+            });
         } else {
             document.getElementById('modalSections').innerHTML = '';
         }
@@ -341,7 +1529,14 @@ class AdvancedTherapistApp {
                     ${episode.relatedEpisodes.map(rel => `
                         <div class="related-episode" data-episode-id="${rel.id}">
                             <span class="similarity-badge">${rel.similarity}%</span>
-                            <span class="related-episode-title">${rel.title}</span>
+                            <div class="related-episode-body">
+                                <span class="related-episode-title">${rel.title}</span>
+                                ${rel.sharedTerms && rel.sharedTerms.length > 0 ? `
+                                    <span class="related-episode-terms">
+                                        共通の話題: ${rel.sharedTerms.map(term => this.escapeHtml(term)).join('・')}
+                                    </span>
+                                ` : ''}
+                            </div>
                         </div>
                     `).join('')}
                 </div>
@@ -359,144 +1554,892 @@ class AdvancedTherapistApp {
             document.getElementById('modalRelated').innerHTML = '';
         }
 
+        // Previous / next part of the same series
+        document.getElementById('modalSeriesNav').innerHTML = this.renderSeriesNav(episode);
+        document.querySelectorAll('#modalSeriesNav [data-episode-id]').forEach(btn => {
+            btn.addEventListener('click', () => this.showEpisodeDetail(btn.dataset.episodeId));
+        });
+
+        // Full content is fetched lazily per episode
+        this.renderEpisodeContent(episode);
+        this.markViewed(episode.id);
+        this.renderModalProgress(episode);
+
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
+
+        // Each opened episode gets a history entry so Back returns to the previous one
+        const modalDepth = (history.state?.modalDepth || 0) + 1;
+        this.updateUrl('push', { modalDepth });
     }
 
-    closeModal() {
-        const modal = document.getElementById('episodeModal');
-        modal.classList.remove('active');
-        document.body.style.overflow = '';
-        this.currentEpisode = null;
+    renderEpisodeInfo(episode) {
+        const items = [];
+        if (episode.date) {
+            items.push(`<span class="info-item">配信日: ${this.escapeHtml(episode.date)}</span>`);
+        }
+        if (episode.duration) {
+            items.push(`<span class="info-item">収録時間: ${this.formatDuration(episode.duration)}</span>`);
+        }
+        if (episode.guests && episode.guests.length > 0) {
+            items.push(`<span class="info-item">出演: ${episode.guests.map(g => this.escapeHtml(g)).join('、')}</span>`);
+        }
+        if (episode.tags && episode.tags.length > 0) {
+            items.push(`<span class="info-item">${episode.tags.map(tag =>
+                `<span class="tag-badge">#${this.escapeHtml(tag)}</span>`
+            ).join('')}</span>`);
+        }
+        return items.join('');
     }
 
-    switchView(viewName) {
-        // Update nav buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.view === viewName);
-        });
+    renderModalProgress(episode) {
+        const container = document.getElementById('modalProgress');
+        const entry = this.progress.get(episode.id) || {};
+        const status = this.getProgressStatus(episode.id);
+        const formatDate = time => new Date(time).toLocaleDateString('ja-JP');
+
+        container.innerHTML = `
+            <div class="progress-status" role="group" aria-label="視聴状況">
+                ${Object.entries(PROGRESS_LABELS).map(([value, label]) => `
+                    <button class="progress-status-btn ${value === status ? 'active' : ''}"
+                            data-status="${value}" aria-pressed="${value === status}">${label}</button>
+                `).join('')}
+            </div>
+            <span class="progress-dates">
+                ${entry.completedAt ? `完了日: ${formatDate(entry.completedAt)}` : ''}
+                ${entry.lastViewed ? `最終閲覧: ${formatDate(entry.lastViewed)}` : ''}
+            </span>
+        `;
 
-        // Update views
-        document.querySelectorAll('.view').forEach(view => {
-            view.classList.remove('active');
+        container.querySelectorAll('.progress-status-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setProgressStatus(episode.id, btn.dataset.status));
         });
+    }
 
-        const targetView = document.getElementById(`${viewName}View`);
-        if (targetView) {
-            targetView.classList.add('active');
-        }
-
-        // Initialize view-specific content
-        if (viewName === 'graph' && !this.network) {
-            this.initKnowledgeGraph();
-        } else if (viewName === 'bookmarks') {
-            this.renderBookmarks();
+    // Player for the episode's audio (front matter `audio`); resumes where
+    // the user stopped last time
+    renderAudioPlayer(episode) {
+        const container = document.getElementById('modalAudio');
+        if (!episode.audio) {
+            container.innerHTML = '';
+            return;
         }
-    }
 
-    initKnowledgeGraph() {
-        const container = document.getElementById('knowledgeGraph');
+        const resumeAt = Number(this.playbackPositions.get(episode.id)) || 0;
+        container.innerHTML = `
+            <audio controls preload="metadata" src="${this.escapeHtml(episode.audio)}"
+                   data-episode-id="${episode.id}"></audio>
+            ${resumeAt > 0 ? `<p class="audio-resume">前回の続き（${this.formatTime(resumeAt)}）から再生します</p>` : ''}
+        `;
 
-        // Prepare nodes and edges
-        const nodes = this.episodes.map(ep => ({
-            id: ep.id,
-            label: `EP ${ep.id}\n${ep.title.substring(0, 20)}...`,
-            title: ep.title,
-            color: {
-                background: '#2C5F6F',
-                border: '#1E4450',
-                highlight: {
-                    background: '#D4AF37',
-                    border: '#C19B2E'
-                }
-            },
-            font: {
-                color: '#FFFFFF',
-                size: 12
+        const audio = container.querySelector('audio');
+        audio.addEventListener('loadedmetadata', () => {
+            // A section click may already have chosen the start
+            if (audio.currentTime === 0 && resumeAt > 0 && resumeAt < audio.duration - 5) {
+                audio.currentTime = resumeAt;
             }
-        }));
+        }, { once: true });
 
-        const edges = [];
-        this.episodes.forEach(ep => {
-            ep.relatedEpisodes.forEach(rel => {
-                // Only add edge if similarity is high enough and avoid duplicates
-                if (rel.similarity >= 30) {
-                    const edgeId = [ep.id, rel.id].sort().join('-');
-                    if (!edges.find(e => e.id === edgeId)) {
-                        edges.push({
-                            id: edgeId,
-                            from: ep.id,
-                            to: rel.id,
-                            value: rel.similarity / 20,
-                            title: `関連度: ${rel.similarity}%`
-                        });
-                    }
-                }
-            });
+        let lastSaved = resumeAt;
+        audio.addEventListener('timeupdate', () => {
+            if (Math.abs(audio.currentTime - lastSaved) >= 5) {
+                lastSaved = audio.currentTime;
+                this.saveAudioPosition();
+            }
+        });
+        audio.addEventListener('pause', () => this.saveAudioPosition());
+        audio.addEventListener('ended', () => {
+            this.playbackPositions.delete(episode.id);
+            this.storePlaybackPositions();
+            this.setProgressStatus(episode.id, 'done');
         });
+    }
 
-        const data = { nodes, edges };
-        const options = {
-            nodes: {
-                shape: 'dot',
-                size: 20,
-                borderWidth: 2,
-                shadow: true
-            },
-            edges: {
-                color: {
-                    color: '#CCCCCC',
-                    highlight: '#D4AF37'
-                },
-                smooth: {
-                    type: 'continuous'
-                }
-            },
-            physics: {
-                stabilization: true,
-                barnesHut: {
-                    gravitationalConstant: -2000,
-                    springConstant: 0.001,
-                    springLength: 200
-                }
-            },
-            interaction: {
-                hover: true,
-                tooltipDelay: 200
-            }
-        };
+    seekAudio(seconds) {
+        const audio = document.querySelector('#modalAudio audio');
+        if (!audio) return;
+        audio.currentTime = seconds;
+        audio.play().catch(() => {});
+    }
 
-        this.network = new vis.Network(container, data, options);
+    saveAudioPosition() {
+        const audio = document.querySelector('#modalAudio audio');
+        if (!audio || audio.ended || audio.currentTime === 0) return;
+        this.playbackPositions.set(audio.dataset.episodeId, Math.floor(audio.currentTime));
+        this.storePlaybackPositions();
+    }
 
-        // Add click listener
-        this.network.on('click', (params) => {
-            if (params.nodes.length > 0) {
-                const episodeId = params.nodes[0];
-                this.showEpisodeDetail(episodeId);
-            }
-        });
+    // 75 -> "1:15", 3723 -> "1:02:03"
+    formatTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(Math.floor(seconds % 60)).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
     }
 
-    renderBookmarks() {
-        const container = document.getElementById('bookmarksList');
-        const noBookmarks = document.getElementById('noBookmarks');
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = seconds % 60;
+        if (hours > 0) return `${hours}時間${minutes}分`;
+        return rest > 0 ? `${minutes}分${rest}秒` : `${minutes}分`;
+    }
 
-        const bookmarkedEpisodes = this.episodes.filter(ep =>
-            this.bookmarks.has(ep.id)
-        );
+    async loadEpisodeContent(episodeId) {
+        if (!this.episodeContents.has(episodeId)) {
+            const response = await fetch(`data/episodes/${encodeURIComponent(episodeId)}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.episodeContents.set(episodeId, await response.json());
+        }
+        return this.episodeContents.get(episodeId);
+    }
 
-        if (bookmarkedEpisodes.length === 0) {
-            container.style.display = 'none';
-            noBookmarks.style.display = 'block';
+    async renderEpisodeContent(episode) {
+        const container = document.getElementById('modalContent');
+        container.innerHTML = '<p class="content-loading">本文を読み込み中…</p>';
+
+        let content;
+        try {
+            content = await this.loadEpisodeContent(episode.id);
+        } catch (error) {
+            console.warn(`Content for EP ${episode.id} unavailable:`, error);
+            // Leave the container alone if it already belongs to another episode;
+            // otherwise the section list above stays as the outline
+            if (this.currentEpisode?.id === episode.id) container.innerHTML = '';
+            return;
+        }
+
+        // The user may have moved to another episode while loading
+        if (this.currentEpisode?.id !== episode.id) return;
+
+        container.innerHTML = `
+            <h3>本文</h3>
+            <div class="episode-content">${content.html}</div>
+        `;
+
+        if (content.toc.length > 0) {
+            const sections = document.getElementById('modalSections');
+            sections.innerHTML = `
+                <h3>目次</h3>
+                <ul class="toc">
+                    ${content.toc.map(item => `
+                        <li class="toc-level-${item.level}">
+                            <button class="toc-link" data-target="${item.id}">${this.escapeHtml(item.title)}</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+
+            sections.querySelectorAll('.toc-link').forEach(link => {
+                link.addEventListener('click', () => {
+                    const heading = container.querySelector(`[id="${link.dataset.target}"]`);
+                    if (heading) {
+                        heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    }
+                });
+            });
+        }
+    }
+
+    // Note, tags and collection membership, saved as the user types
+    renderModalNotes(episode) {
+        const container = document.getElementById('modalNotes');
+        const note = this.notes.get(episode.id) || { text: '', tags: [] };
+
+        container.innerHTML = `
+            <h3>自分のメモ</h3>
+            <textarea class="note-text" rows="3" placeholder="気づきや臨床で試したいことなど（この端末にだけ保存されます）">${this.escapeHtml(note.text)}</textarea>
+            <input type="text" class="note-tags-input" placeholder="タグ（カンマ区切り）例: 新人向け, 復習" value="${this.escapeHtml(note.tags.join(', '))}">
+            <div class="note-collections">
+                <span class="note-collections-label">コレクション:</span>
+                ${this.collections.map(collection => `
+                    <label>
+                        <input type="checkbox" data-collection-id="${collection.id}"
+                               ${collection.episodeIds.includes(episode.id) ? 'checked' : ''}>
+                        ${this.escapeHtml(collection.name)}
+                    </label>
+                `).join('') || '<span class="note-collections-empty">ブックマーク画面で作成できます</span>'}
+            </div>
+        `;
+
+        const textInput = container.querySelector('.note-text');
+        const tagsInput = container.querySelector('.note-tags-input');
+        const save = () => this.saveNote(episode.id, textInput.value, this.parseTags(tagsInput.value));
+        textInput.addEventListener('input', save);
+        tagsInput.addEventListener('input', save);
+
+        container.querySelectorAll('[data-collection-id]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.setInCollection(checkbox.dataset.collectionId, episode.id, checkbox.checked);
+                document.getElementById('modalBookmark').classList.toggle('active', this.bookmarks.has(episode.id));
+                this.notesChanged = true;
+            });
+        });
+    }
+
+    closeModal() {
+        if (!this.currentEpisode) return;
+
+        // Unwind the history entries pushed while the modal was open;
+        // popstate then hides the modal
+        const modalDepth = history.state?.modalDepth || 0;
+        if (modalDepth > 0 && !this.isRestoringUrl) {
+            history.go(-modalDepth);
+            return;
+        }
+
+        this.hideModal();
+        this.updateUrl('replace');
+    }
+
+    hideModal() {
+        const modal = document.getElementById('episodeModal');
+        this.saveAudioPosition();
+        document.querySelector('#modalAudio audio')?.pause();
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+        this.currentEpisode = null;
+
+        // Show edited notes and progress on the cards and in note searches
+        if (this.notesChanged || this.progressChanged) {
+            this.notesChanged = false;
+            this.progressChanged = false;
+            this.applyFilters();
+            if (this.currentView === 'bookmarks') {
+                this.renderBookmarks();
+            }
+        }
+    }
+
+    async copyShareLink() {
+        try {
+            await navigator.clipboard.writeText(location.href);
+            const button = document.getElementById('modalShare');
+            button.classList.add('copied');
+            setTimeout(() => button.classList.remove('copied'), 1500);
+        } catch (error) {
+            // Clipboard API needs a secure context; let the user copy by hand
+            prompt('このリンクをコピーしてください', location.href);
+        }
+    }
+
+    // URL hash format: #/<view>?q=<query>&themes=a,b&exclude=c&mode=all&rel=0.5&progress=unheard&path=<id>&step=2&ep=<id>
+    serializeState() {
+        const params = new URLSearchParams();
+        if (this.searchQuery) params.set('q', this.searchQuery);
+        if (this.activeFilters.size > 0) params.set('themes', [...this.activeFilters].join(','));
+        if (this.excludedThemes.size > 0) params.set('exclude', [...this.excludedThemes].join(','));
+        if (this.themeMatchMode !== 'any') params.set('mode', this.themeMatchMode);
+        if (this.minThemeScore > 0) params.set('rel', this.minThemeScore);
+        if (this.progressFilter !== 'all') params.set('progress', this.progressFilter);
+        if (this.currentView === 'paths' && this.activePath) {
+            params.set('path', this.activePath);
+            params.set('step', this.pathStep + 1);
+        }
+        if (this.currentEpisode) params.set('ep', this.currentEpisode.id);
+
+        const query = params.toString();
+        return `#/${this.currentView}${query ? `?${query}` : ''}`;
+    }
+
+    parseUrl() {
+        const hash = location.hash.replace(/^#\/?/, '');
+        const [path, query = ''] = hash.split('?');
+        const views = [...document.querySelectorAll('.nav-btn')].map(btn => btn.dataset.view);
+
+        return {
+            view: views.includes(path) ? path : 'episodes',
+            params: new URLSearchParams(query)
+        };
+    }
+
+    // Push for view and modal changes (so Back/Forward walk through them),
+    // replace for filter and search edits
+    updateUrl(mode, state = {}) {
+        if (this.isRestoringUrl) return;
+
+        const url = this.serializeState();
+        if (url === location.hash) return;
+
+        if (mode === 'push') {
+            history.pushState(state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    applyUrlState() {
+        const { view, params } = this.parseUrl();
+        const splitThemes = value => (value ? value.split(',') : [])
+            .filter(theme => this.allThemes.includes(theme));
+
+        this.isRestoringUrl = true;
+        try {
+            this.searchQuery = params.get('q') || '';
+            document.getElementById('searchInput').value = this.searchQuery;
+            document.getElementById('clearSearch').style.display = this.searchQuery ? 'block' : 'none';
+
+            this.activeFilters = new Set(splitThemes(params.get('themes')));
+            this.excludedThemes = new Set(splitThemes(params.get('exclude')));
+            this.themeMatchMode = params.get('mode') === 'all' ? 'all' : 'any';
+            const relevanceSelect = document.getElementById('minRelevance');
+            const relevance = params.get('rel') || '0';
+            const relevanceOptions = [...relevanceSelect.options].map(option => option.value);
+            this.minThemeScore = relevanceOptions.includes(relevance) ? parseFloat(relevance) : 0;
+            relevanceSelect.value = relevanceOptions.includes(relevance) ? relevance : '0';
+            const progressSelect = document.getElementById('progressFilter');
+            const progress = params.get('progress') || 'all';
+            this.progressFilter = [...progressSelect.options].some(option => option.value === progress)
+                ? progress : 'all';
+            progressSelect.value = this.progressFilter;
+            document.querySelectorAll('.match-mode-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.mode === this.themeMatchMode);
+            });
+            this.updateThemeTagStates();
+            this.applyFilters();
+
+            const learningPath = this.learningPaths.find(p => p.id === params.get('path'));
+            const step = parseInt(params.get('step'), 10) - 1;
+            this.activePath = learningPath ? learningPath.id : null;
+            this.pathStep = learningPath && step >= 0 && step < learningPath.steps.length ? step : 0;
+
+            if (view !== this.currentView) {
+                this.switchView(view);
+            } else if (view === 'paths') {
+                this.renderLearningPaths();
+            }
+
+            const episodeId = params.get('ep');
+            if (episodeId && this.episodes.some(ep => ep.id === episodeId)) {
+                if (this.currentEpisode?.id !== episodeId) {
+                    this.showEpisodeDetail(episodeId);
+                }
+            } else if (this.currentEpisode) {
+                this.hideModal();
+            }
+        } finally {
+            this.isRestoringUrl = false;
+        }
+    }
+
+    switchView(viewName) {
+        this.currentView = viewName;
+
+        // Update nav buttons
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === viewName);
+        });
+
+        // Update views
+        document.querySelectorAll('.view').forEach(view => {
+            view.classList.remove('active');
+        });
+
+        const targetView = document.getElementById(`${viewName}View`);
+        if (targetView) {
+            targetView.classList.add('active');
+        }
+
+        // Initialize view-specific content
+        if (viewName === 'graph' && !this.network) {
+            this.initKnowledgeGraph();
+        } else if (viewName === 'graph') {
+            // Filters may have changed while another view was shown
+            this.updateKnowledgeGraph();
+        } else if (viewName === 'bookmarks') {
+            this.renderBookmarks();
+        } else if (viewName === 'series') {
+            this.renderSeries();
+        } else if (viewName === 'progress') {
+            this.renderProgressDashboard();
+        } else if (viewName === 'paths') {
+            this.renderLearningPaths();
+        } else if (viewName === 'stats') {
+            this.renderStats();
+        }
+
+        this.updateUrl('push', { modalDepth: 0 });
+    }
+
+    initKnowledgeGraph() {
+        const container = document.getElementById('knowledgeGraph');
+        const hasLayout = this.graphPositions.size > 0;
+        const options = {
+            nodes: {
+                shape: 'dot',
+                size: 20,
+                borderWidth: 2,
+                shadow: true
+            },
+            edges: {
+                color: {
+                    color: '#CCCCCC',
+                    highlight: '#D4AF37'
+                },
+                smooth: hasLayout ? false : { type: 'continuous' }
+            },
+            physics: hasLayout ? false : {
+                stabilization: true,
+                barnesHut: {
+                    gravitationalConstant: -2000,
+                    springConstant: 0.001,
+                    springLength: 200
+                }
+            },
+            layout: {
+                improvedLayout: !hasLayout
+            },
+            interaction: {
+                hover: true,
+                tooltipDelay: 200
+            }
+        };
+
+        this.graphNodes = new vis.DataSet();
+        this.graphEdges = new vis.DataSet();
+        this.network = new vis.Network(container, { nodes: this.graphNodes, edges: this.graphEdges }, options);
+
+        // Click focuses an episode's neighborhood, double-click opens it;
+        // theme nodes toggle the theme filter
+        this.network.on('click', (params) => {
+            if (params.nodes.length === 0) return;
+            const nodeId = params.nodes[0];
+            if (nodeId.startsWith('theme:')) {
+                this.toggleThemeFilter(nodeId.slice('theme:'.length));
+            } else {
+                this.focusEpisode(nodeId);
+            }
+        });
+
+        this.network.on('doubleClick', (params) => {
+            if (params.nodes.length > 0 && !params.nodes[0].startsWith('theme:')) {
+                this.showEpisodeDetail(params.nodes[0]);
+            }
+        });
+
+        // Learning path endpoints can be any episode, not only the visible ones
+        const episodeOptions = this.episodes.map(ep =>
+            `<option value="${ep.id}">EP ${ep.id} ${this.escapeHtml(ep.title)}</option>`
+        ).join('');
+        document.getElementById('pathFrom').innerHTML = episodeOptions;
+        document.getElementById('pathTo').innerHTML = episodeOptions;
+
+        this.updateKnowledgeGraph();
+    }
+
+    // Back to the precomputed positions (dragged nodes included), unfocused
+    resetGraph() {
+        this.graphHighlight = null;
+        document.getElementById('pathResult').innerHTML = '';
+        this.updateKnowledgeGraph();
+        this.network.fit();
+    }
+
+    focusEpisode(episodeId, hops = this.graphHighlight?.hops || 1) {
+        this.graphHighlight = { type: 'focus', id: episodeId, hops };
+        this.applyGraphHighlight();
+    }
+
+    clearGraphHighlight() {
+        this.graphHighlight = null;
+        document.getElementById('pathResult').innerHTML = '';
+        this.applyGraphHighlight();
+    }
+
+    // Episodes within `hops` links of the focused one, over the edges shown
+    getNeighborhood(episodeId, hops) {
+        const adjacency = new Map();
+        this.graphEdges.get().forEach(edge => {
+            [[edge.from, edge.to], [edge.to, edge.from]].forEach(([a, b]) => {
+                if (!adjacency.has(a)) adjacency.set(a, []);
+                adjacency.get(a).push(b);
+            });
+        });
+
+        const reached = new Set([episodeId]);
+        let frontier = [episodeId];
+        for (let hop = 0; hop < hops; hop++) {
+            frontier = frontier
+                .flatMap(id => adjacency.get(id) || [])
+                .filter(id => !reached.has(id));
+            frontier.forEach(id => reached.add(id));
+        }
+        return reached;
+    }
+
+    /**
+     * Strongest chain of related episodes from one episode to another.
+     * Links are undirected and cost -ln(similarity), so the path maximizes the
+     * product of similarities: two strong links beat one weak one.
+     * Returns [{ id, similarity }] (similarity to the previous step) or null.
+     */
+    findLearningPath(fromId, toId) {
+        const adjacency = new Map(this.episodes.map(ep => [ep.id, new Map()]));
+        this.graphLinks.forEach(link => {
+            if (!adjacency.has(link.from) || !adjacency.has(link.to) || link.similarity <= 0) return;
+            adjacency.get(link.from).set(link.to, link.similarity);
+            adjacency.get(link.to).set(link.from, link.similarity);
+        });
+
+        const cost = new Map([[fromId, 0]]);
+        const previous = new Map();
+        const done = new Set();
+        while (!done.has(toId)) {
+            let current = null;
+            cost.forEach((value, id) => {
+                if (!done.has(id) && (current === null || value < cost.get(current))) current = id;
+            });
+            if (current === null) return null;
+            done.add(current);
+
+            adjacency.get(current).forEach((similarity, next) => {
+                const candidate = cost.get(current) - Math.log(Math.min(similarity, 100) / 100);
+                if (!done.has(next) && (!cost.has(next) || candidate < cost.get(next))) {
+                    cost.set(next, candidate);
+                    previous.set(next, { id: current, similarity });
+                }
+            });
+        }
+
+        const path = [{ id: toId, similarity: null }];
+        while (path[0].id !== fromId) {
+            const step = previous.get(path[0].id);
+            path[0].similarity = step.similarity;
+            path.unshift({ id: step.id, similarity: null });
+        }
+        return path;
+    }
+
+    showLearningPath() {
+        const fromId = document.getElementById('pathFrom').value;
+        const toId = document.getElementById('pathTo').value;
+        const result = document.getElementById('pathResult');
+        const path = fromId === toId ? null : this.findLearningPath(fromId, toId);
+
+        if (!path) {
+            this.graphHighlight = null;
+            result.innerHTML = `<li class="path-empty">${fromId === toId
+                ? '始点と終点に別のエピソードを選んでください'
+                : '関連エピソードをたどってつながる道筋が見つかりませんでした'}</li>`;
+            this.applyGraphHighlight();
+            return;
+        }
+
+        const hidden = path.filter(step => !this.graphNodes.get(step.id)).length;
+        result.innerHTML = path.map((step, i) => {
+            const episode = this.episodes.find(ep => ep.id === step.id);
+            const next = path[i + 1];
+            return `
+                <li class="path-step" data-episode-id="${step.id}">
+                    <span class="series-part-id">EP ${step.id}</span>
+                    <span class="path-step-title">${this.escapeHtml(episode.title)}</span>
+                    ${next ? `<span class="path-step-link">次へ ${next.similarity}%</span>` : ''}
+                </li>
+            `;
+        }).join('') + (hidden > 0
+            ? `<li class="path-empty">${hidden}件のエピソードは現在のフィルターでグラフに表示されていません</li>`
+            : '');
+
+        result.querySelectorAll('.path-step').forEach(item => {
+            item.addEventListener('click', () => this.showEpisodeDetail(item.dataset.episodeId));
+        });
+
+        this.graphHighlight = { type: 'path', ids: path.map(step => step.id) };
+        this.applyGraphHighlight();
+    }
+
+    // Dim everything outside the focused neighborhood or the learning path
+    applyGraphHighlight() {
+        if (!this.network) return;
+
+        // A focused episode that was filtered out of the graph ends the focus
+        if (this.graphHighlight?.type === 'focus' && !this.graphNodes.get(this.graphHighlight.id)) {
+            this.graphHighlight = null;
+        }
+
+        const highlight = this.graphHighlight;
+        let included = null;
+        const pathLinks = new Set();
+        if (highlight?.type === 'focus') {
+            included = this.getNeighborhood(highlight.id, highlight.hops);
+        } else if (highlight?.type === 'path') {
+            included = new Set(highlight.ids);
+            highlight.ids.slice(1).forEach((id, i) => pathLinks.add([highlight.ids[i], id].sort().join('|')));
+        }
+
+        this.graphNodes.update(this.graphNodes.getIds().map(id => {
+            const base = this.graphBaseStyles.get(id);
+            if (!included || included.has(id)) {
+                return { id, ...base, borderWidth: highlight?.id === id ? 5 : 2 };
+            }
+            return {
+                id,
+                color: { background: '#EEEEEA', border: '#E0E0DC' },
+                font: { ...base.font, color: '#C8C8C4' },
+                borderWidth: 1
+            };
+        }));
+
+        this.graphEdges.update(this.graphEdges.get().map(edge => {
+            const onPath = pathLinks.has(edge.id);
+            const visible = !included || (included.has(edge.from) && included.has(edge.to));
+            return {
+                id: edge.id,
+                width: onPath ? 4 : 1,
+                color: onPath
+                    ? { color: '#D4AF37', highlight: '#D4AF37' }
+                    : { color: visible ? '#CCCCCC' : '#F0F0EC', highlight: '#D4AF37' }
+            };
+        }));
+
+        this.renderGraphFocus();
+    }
+
+    renderGraphFocus() {
+        const panel = document.getElementById('graphFocus');
+        const highlight = this.graphHighlight;
+        if (highlight?.type !== 'focus') {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const episode = this.episodes.find(ep => ep.id === highlight.id);
+        const neighbors = this.getNeighborhood(highlight.id, highlight.hops).size - 1;
+        panel.style.display = 'flex';
+        panel.innerHTML = `
+            <span class="graph-focus-label">
+                <strong>EP ${episode.id}</strong> ${this.escapeHtml(episode.title)} の周辺 ${neighbors}件
+            </span>
+            <div class="match-mode" role="group" aria-label="表示する範囲">
+                <button class="match-mode-btn ${highlight.hops === 1 ? 'active' : ''}" data-hops="1">1ホップ</button>
+                <button class="match-mode-btn ${highlight.hops === 2 ? 'active' : ''}" data-hops="2">2ホップ</button>
+            </div>
+            <button class="graph-btn" data-action="open">詳細を開く</button>
+            <button class="graph-btn" data-action="from">ここから学ぶ</button>
+            <button class="graph-btn" data-action="to">ここまで学ぶ</button>
+            <button class="graph-btn" data-action="clear">解除</button>
+        `;
+
+        panel.querySelectorAll('[data-hops]').forEach(btn => {
+            btn.addEventListener('click', () => this.focusEpisode(highlight.id, parseInt(btn.dataset.hops, 10)));
+        });
+        panel.querySelector('[data-action="open"]').addEventListener('click', () => {
+            this.showEpisodeDetail(highlight.id);
+        });
+        panel.querySelector('[data-action="from"]').addEventListener('click', () => {
+            document.getElementById('pathFrom').value = highlight.id;
+        });
+        panel.querySelector('[data-action="to"]').addEventListener('click', () => {
+            document.getElementById('pathTo').value = highlight.id;
+            this.showLearningPath();
+        });
+        panel.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            this.clearGraphHighlight();
+        });
+    }
+
+    toggleThemeFilter(theme) {
+        if (this.activeFilters.has(theme)) {
+            this.activeFilters.delete(theme);
+        } else {
+            this.excludedThemes.delete(theme);
+            this.activeFilters.add(theme);
+        }
+        this.updateThemeTagStates();
+        this.applyFilters();
+    }
+
+    // Top-level theme of a (sub-)theme, so うつ and ストレス share a color
+    getRootTheme(theme) {
+        let current = theme;
+        while (this.themeParents[current]) {
+            current = this.themeParents[current];
+        }
+        return current;
+    }
+
+    // Cluster of an episode: its strongest theme or its series
+    getGraphGroup(episode) {
+        if (this.graphSettings.colorBy === 'series') {
+            const series = this.getSeries(episode);
+            return series && series.number !== null ? `シリーズ ${series.number}` : '番外編';
+        }
+        const strongest = this.getStrongestThemes(episode)[0];
+        return strongest ? this.getRootTheme(strongest) : 'テーマなし';
+    }
+
+    // The largest groups get their own color; the rest share gray
+    assignGroupColors(episodes) {
+        const counts = new Map();
+        episodes.forEach(ep => {
+            const group = this.getGraphGroup(ep);
+            counts.set(group, (counts.get(group) || 0) + 1);
+        });
+
+        const colors = new Map();
+        [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([group], i) => {
+                colors.set(group, GRAPH_PALETTE[i] || GRAPH_OTHER_COLOR);
+            });
+        return colors;
+    }
+
+    // Rebuild the graph from the current search and theme filters
+    updateKnowledgeGraph() {
+        if (!this.network) return;
+
+        const episodes = this.filteredEpisodes;
+        const visible = new Set(episodes.map(ep => ep.id));
+        const colors = this.assignGroupColors(episodes);
+        const { threshold, themeNodes } = this.graphSettings;
+
+        const nodes = episodes.map(ep => {
+            const color = colors.get(this.getGraphGroup(ep));
+            return {
+                id: ep.id,
+                ...this.graphPositions.get(ep.id),
+                label: `EP ${ep.id}\n${ep.title.substring(0, 20)}...`,
+                title: `${ep.title}（${this.getGraphGroup(ep)}）`,
+                color: {
+                    background: color,
+                    border: color,
+                    highlight: {
+                        background: '#D4AF37',
+                        border: '#C19B2E'
+                    }
+                },
+                font: {
+                    color: '#1A1A1A',
+                    size: 12
+                }
+            };
+        });
+
+        const edges = [];
+        if (themeNodes) {
+            // Bipartite: episodes link to their strongest themes (as on the cards)
+            const themeEpisodes = new Map();
+            episodes.forEach(ep => {
+                this.getStrongestThemes(ep).slice(0, 3)
+                    .forEach(theme => {
+                        if (!themeEpisodes.has(theme)) themeEpisodes.set(theme, []);
+                        themeEpisodes.get(theme).push(ep.id);
+                        edges.push({ id: `${ep.id}|${theme}`, from: ep.id, to: `theme:${theme}`, dashes: true });
+                    });
+            });
+            themeEpisodes.forEach((ids, theme) => {
+                const degree = ids.length;
+                // With a precomputed layout, a theme sits just above the middle of its episodes
+                const placed = ids.map(id => this.graphPositions.get(id)).filter(Boolean);
+                const position = placed.length > 0 ? {
+                    x: placed.reduce((sum, p) => sum + p.x, 0) / placed.length,
+                    y: placed.reduce((sum, p) => sum + p.y, 0) / placed.length - 60
+                } : {};
+                nodes.push({
+                    id: `theme:${theme}`,
+                    ...position,
+                    label: theme,
+                    title: `${theme}: ${degree}エピソード（クリックで絞り込み）`,
+                    shape: 'box',
+                    mass: 1 + degree / 2,
+                    color: {
+                        background: this.activeFilters.has(theme) ? '#D4AF37' : '#FFFFFF',
+                        border: '#2C5F6F'
+                    },
+                    font: { color: '#1E4450', size: 13 }
+                });
+            });
+        } else {
+            // Only edges between visible episodes above the slider threshold
+            this.graphLinks
+                .filter(link => visible.has(link.from) && visible.has(link.to) && link.similarity >= threshold)
+                .forEach(link => {
+                    edges.push({
+                        id: [link.from, link.to].sort().join('|'),
+                        from: link.from,
+                        to: link.to,
+                        value: link.similarity / 20,
+                        title: link.sharedTerms && link.sharedTerms.length > 0
+                            ? `関連度: ${link.similarity}%（${link.sharedTerms.join('・')}）`
+                            : `関連度: ${link.similarity}%`
+                    });
+                });
+        }
+
+        this.graphBaseStyles = new Map(nodes.map(node => [node.id, { color: node.color, font: node.font }]));
+        this.graphNodes.clear();
+        this.graphEdges.clear();
+        this.graphNodes.add(nodes);
+        this.graphEdges.add(edges);
+        this.applyGraphHighlight();
+        this.renderGraphLegend(colors);
+        document.getElementById('graphSummary').textContent = episodes.length < this.episodes.length
+            ? `検索・フィルター結果の ${episodes.length} / ${this.episodes.length} エピソードを表示`
+            : `全 ${episodes.length} エピソードを表示`;
+    }
+
+    renderGraphLegend(colors) {
+        const groups = [...colors.entries()];
+        const shown = groups.filter(([, color]) => color !== GRAPH_OTHER_COLOR);
+        const others = groups.length - shown.length;
+
+        document.getElementById('graphLegend').innerHTML = `
+            ${shown.map(([group, color]) => `
+                <div class="legend-item">
+                    <div class="legend-dot" style="background: ${color};"></div>
+                    <span>${this.escapeHtml(group)}</span>
+                </div>
+            `).join('')}
+            ${others > 0 ? `
+                <div class="legend-item">
+                    <div class="legend-dot" style="background: ${GRAPH_OTHER_COLOR};"></div>
+                    <span>その他（${others}）</span>
+                </div>
+            ` : ''}
+            <div class="legend-item">
+                <div class="${this.graphSettings.themeNodes ? 'legend-line dashed' : 'legend-line'}"></div>
+                <span>${this.graphSettings.themeNodes ? 'テーマとの関連' : '関連性（共通の話題）'}</span>
+            </div>
+        `;
+    }
+
+    renderBookmarks() {
+        const container = document.getElementById('bookmarksList');
+        const noBookmarks = document.getElementById('noBookmarks');
+
+        this.renderCollectionTabs();
+        const bookmarkedEpisodes = this.getBookmarkedEpisodes();
+
+        if (bookmarkedEpisodes.length === 0) {
+            container.style.display = 'none';
+            noBookmarks.style.display = 'block';
             return;
         }
 
         container.style.display = 'grid';
         noBookmarks.style.display = 'none';
 
-        container.innerHTML = bookmarkedEpisodes.map(ep =>
-            this.createEpisodeCard(ep)
-        ).join('');
+        const last = bookmarkedEpisodes.length - 1;
+        container.innerHTML = bookmarkedEpisodes.map((ep, i) => `
+            <div class="bookmark-item">
+                ${this.createEpisodeCard(ep)}
+                <div class="bookmark-order">
+                    <button class="bookmark-order-btn" data-episode-id="${ep.id}" data-move="-1"
+                            aria-label="上へ" ${i === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="bookmark-order-btn" data-episode-id="${ep.id}" data-move="1"
+                            aria-label="下へ" ${i === last ? 'disabled' : ''}>↓</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.bookmark-order-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.moveBookmark(btn.dataset.episodeId, parseInt(btn.dataset.move, 10));
+            });
+        });
 
         // Add click listeners
         container.querySelectorAll('.episode-card').forEach(card => {
@@ -519,34 +2462,642 @@ class AdvancedTherapistApp {
         });
     }
 
-    exportBookmarks() {
-        const bookmarkedEpisodes = this.episodes.filter(ep =>
-            this.bookmarks.has(ep.id)
-        );
+    renderCollectionTabs() {
+        if (this.activeCollection !== 'all' && !this.collections.some(c => c.id === this.activeCollection)) {
+            this.activeCollection = 'all';
+        }
+        const tabs = document.getElementById('collectionTabs');
+        const tab = (id, name, count) => `
+            <button class="collection-tab ${this.activeCollection === id ? 'active' : ''}" data-collection-id="${id}">
+                ${this.escapeHtml(name)} <span class="collection-count">${count}</span>
+            </button>
+        `;
 
-        const exportData = {
-            exportedAt: new Date().toISOString(),
-            totalBookmarks: bookmarkedEpisodes.length,
-            episodes: bookmarkedEpisodes.map(ep => ({
-                id: ep.id,
-                title: ep.title,
-                summary: ep.summary,
-                themes: ep.themes
-            }))
-        };
+        tabs.innerHTML = `
+            ${tab('all', 'すべて', this.bookmarks.size)}
+            ${this.collections.map(c => tab(c.id, c.name, c.episodeIds.length)).join('')}
+            <button class="collection-tab collection-new" data-action="create">＋ コレクション</button>
+            ${this.activeCollection !== 'all' ? `
+                <span class="collection-actions">
+                    <button class="collection-action" data-action="rename">名前を変更</button>
+                    <button class="collection-action" data-action="delete">削除</button>
+                </span>
+            ` : ''}
+        `;
+
+        tabs.querySelectorAll('[data-collection-id]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.activeCollection = btn.dataset.collectionId;
+                this.renderBookmarks();
+            });
+        });
+        tabs.querySelector('[data-action="create"]').addEventListener('click', () => {
+            const name = prompt('コレクション名（例: 新人研修、院内勉強会）');
+            if (name && name.trim()) {
+                this.activeCollection = this.createCollection(name.trim()).id;
+                this.renderBookmarks();
+            }
+        });
+        tabs.querySelector('[data-action="rename"]')?.addEventListener('click', () => {
+            const collection = this.collections.find(c => c.id === this.activeCollection);
+            const name = prompt('新しいコレクション名', collection.name);
+            if (name && name.trim()) {
+                this.renameCollection(collection.id, name.trim());
+                this.renderBookmarks();
+            }
+        });
+        tabs.querySelector('[data-action="delete"]')?.addEventListener('click', () => {
+            const collection = this.collections.find(c => c.id === this.activeCollection);
+            if (confirm(`コレクション「${collection.name}」を削除しますか?（ブックマークは残ります）`)) {
+                this.deleteCollection(collection.id);
+                this.renderBookmarks();
+            }
+        });
+    }
+
+    // Episodes of the active collection tab, in their saved order
+    getBookmarkedEpisodes() {
+        const episodesById = new Map(this.episodes.map(ep => [ep.id, ep]));
+        return this.getCollectionIds(this.activeCollection)
+            .map(id => episodesById.get(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Bookmarks from an exported file: { ids, notes: Map, collections }.
+     * Accepts the JSON export ({ episodes: [{ id, note, tags }], collections })
+     * and a plain array of IDs or { id } objects.
+     * Throws an Error with a message for the user when the file is unusable.
+     */
+    parseBookmarkImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('JSONとして読み込めませんでした');
+        }
+
+        const entries = Array.isArray(data) ? data : data && data.episodes;
+        if (!Array.isArray(entries)) {
+            throw new Error('ブックマークのエクスポートファイルではありません（episodes がありません）');
+        }
+
+        const ids = entries
+            .map(entry => (typeof entry === 'string' ? entry : entry && entry.id))
+            .filter(id => typeof id === 'string' && id.length > 0);
+        if (ids.length === 0) {
+            throw new Error('ブックマークが含まれていません');
+        }
+
+        const notes = new Map(entries
+            .filter(entry => entry && typeof entry.id === 'string' && (entry.note || (entry.tags || []).length > 0))
+            .map(entry => [entry.id, {
+                text: String(entry.note || ''),
+                tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+                updatedAt: data.exportedAt || new Date().toISOString()
+            }]));
+        const collections = (Array.isArray(data.collections) ? data.collections : [])
+            .filter(collection => collection && typeof collection.name === 'string' && Array.isArray(collection.episodeIds));
+
+        return { ids: [...new Set(ids)], notes, collections };
+    }
+
+    async readBookmarkImport(file) {
+        let data;
+        try {
+            data = this.parseBookmarkImport(await file.text());
+        } catch (error) {
+            this.showBookmarkImportReport(`${file.name}: ${error.message}`, [], 'error');
+            return;
+        }
+
+        // Nothing to lose: import straight away
+        if (this.bookmarks.size === 0) {
+            this.importBookmarks(data, 'merge');
+            return;
+        }
+
+        const panel = document.getElementById('bookmarkImport');
+        panel.className = 'bookmark-import';
+        panel.innerHTML = `
+            <p>${this.escapeHtml(file.name)} の${data.ids.length}件を読み込みます。今の${this.bookmarks.size}件のブックマークはどうしますか？</p>
+            <div class="bookmarks-actions">
+                <button class="btn-secondary" data-mode="merge">残して追加</button>
+                <button class="btn-danger" data-mode="replace">置き換える</button>
+                <button class="btn-secondary" data-mode="cancel">キャンセル</button>
+            </div>
+        `;
+        panel.style.display = 'block';
+
+        panel.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (btn.dataset.mode === 'cancel') {
+                    panel.style.display = 'none';
+                } else {
+                    this.importBookmarks(data, btn.dataset.mode);
+                }
+            });
+        });
+    }
+
+    /**
+     * mode: 'merge' keeps the current bookmarks and notes, 'replace' drops the
+     * bookmarks and lets the file's notes win. Collections are matched by name.
+     * IDs that are not in the index are reported and not imported.
+     */
+    importBookmarks({ ids, notes, collections }, mode) {
+        const known = new Set(this.episodes.map(ep => ep.id));
+        const unknown = ids.filter(id => !known.has(id));
+        const imported = ids.filter(id => known.has(id));
+
+        if (mode === 'replace') {
+            this.bookmarks.clear();
+        }
+        const added = imported.filter(id => !this.bookmarks.has(id));
+        added.forEach(id => this.bookmarks.add(id));
+
+        this.collections.forEach(collection => {
+            collection.episodeIds = collection.episodeIds.filter(id => this.bookmarks.has(id));
+        });
+        collections.forEach(({ name, episodeIds }) => {
+            const collection = this.collections.find(c => c.name === name) || this.createCollection(name);
+            episodeIds
+                .filter(id => this.bookmarks.has(id) && !collection.episodeIds.includes(id))
+                .forEach(id => collection.episodeIds.push(id));
+        });
+
+        notes.forEach((note, id) => {
+            if (known.has(id) && (mode === 'replace' || !this.notes.has(id))) {
+                this.notes.set(id, note);
+            }
+        });
+
+        this.saveBookmarks();
+        this.saveCollections();
+        localStorage.setItem('advancedTherapist_notes',
+            JSON.stringify(Object.fromEntries(this.notes)));
+        this.noteSearchIndex = null;
+        this.renderBookmarks();
+        this.applyFilters();
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)],
-            { type: 'application/json' });
+        const message = mode === 'replace'
+            ? `${imported.length}件のブックマークで置き換えました`
+            : `${added.length}件のブックマークを追加しました（${imported.length - added.length}件は登録済み）`;
+        this.showBookmarkImportReport(message, unknown, unknown.length > 0 ? 'warning' : 'success');
+    }
+
+    showBookmarkImportReport(message, unknownIds, level) {
+        const panel = document.getElementById('bookmarkImport');
+        panel.className = `bookmark-import ${level}`;
+        panel.innerHTML = `
+            <p>${this.escapeHtml(message)}</p>
+            ${unknownIds.length > 0 ? `
+                <p>このデータにないエピソードID（${unknownIds.length}件）は読み込みませんでした:
+                    ${unknownIds.map(id => `<code>${this.escapeHtml(id)}</code>`).join(' ')}</p>
+            ` : ''}
+            <button class="btn-secondary" data-action="close">閉じる</button>
+        `;
+        panel.style.display = 'block';
+        panel.querySelector('[data-action="close"]').addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+    }
+
+    // format: json (re-importable), markdown, csv or html (printable reading list).
+    // Notes are private, so every format leaves them out unless includeNotes is set
+    exportBookmarks(format = 'json', { includeNotes = false } = {}) {
+        const episodes = this.getBookmarkedEpisodes();
+        const notes = includeNotes ? this.notes : new Map();
+        const exportedAt = new Date();
+        const stamp = exportedAt.toISOString().slice(0, 10);
+        const basename = `advanced-therapist-bookmarks-${stamp}`;
+        const collection = this.collections.find(c => c.id === this.activeCollection);
+        const title = collection ? collection.name : 'ブックマーク';
+
+        if (format === 'markdown') {
+            this.downloadFile(this.formatBookmarksMarkdown(episodes, exportedAt, title, notes), `${basename}.md`, 'text/markdown');
+        } else if (format === 'csv') {
+            this.downloadFile(this.formatBookmarksCsv(episodes, notes), `${basename}.csv`, 'text/csv');
+        } else if (format === 'html') {
+            this.downloadFile(this.formatBookmarksHtml(episodes, exportedAt, title, notes), `${basename}.html`, 'text/html');
+        } else {
+            const exportData = {
+                exportedAt: exportedAt.toISOString(),
+                totalBookmarks: episodes.length,
+                episodes: episodes.map(ep => ({
+                    id: ep.id,
+                    title: ep.title,
+                    summary: ep.summary,
+                    themes: ep.themes,
+                    ...(notes.has(ep.id) && {
+                        note: notes.get(ep.id).text,
+                        tags: notes.get(ep.id).tags
+                    })
+                })),
+                collections: this.collections
+                    .filter(c => this.activeCollection === 'all' || c.id === this.activeCollection)
+                    .map(c => ({ name: c.name, episodeIds: c.episodeIds }))
+            };
+            this.downloadFile(JSON.stringify(exportData, null, 2), `${basename}.json`, 'application/json');
+        }
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `advanced-therapist-bookmarks-${Date.now()}.json`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
 
-    showError(message) {
-        alert(message);
+    formatBookmarksMarkdown(episodes, exportedAt, title, notes) {
+        const lines = [
+            `# Advanced Therapist ${title}`,
+            '',
+            `${exportedAt.toLocaleDateString('ja-JP')} 時点・${episodes.length}エピソード`,
+            ''
+        ];
+        episodes.forEach(ep => {
+            lines.push(`## EP ${ep.id} ${ep.title}`, '');
+            if (ep.themes.length > 0) {
+                lines.push(`テーマ: ${ep.themes.join('、')}`, '');
+            }
+            if (ep.summary) {
+                lines.push(ep.summary, '');
+            }
+            const note = notes.get(ep.id);
+            if (note) {
+                if (note.tags.length > 0) lines.push(`タグ: ${note.tags.map(tag => `#${tag}`).join(' ')}`, '');
+                if (note.text) lines.push(...note.text.split('\n').map(line => `> ${line}`), '');
+            }
+        });
+        return lines.join('\n');
+    }
+
+    // The tags and note columns are only present when notes are exported
+    formatBookmarksCsv(episodes, notes) {
+        const withNotes = notes.size > 0;
+        return this.formatCsv([
+            ['id', 'title', 'series', 'part', 'themes', 'summary', ...(withNotes ? ['tags', 'note'] : [])],
+            ...episodes.map(ep => {
+                const row = [ep.id, ep.title, ep.series, ep.part, ep.themes.join(' / '), ep.summary];
+                if (!withNotes) return row;
+                const note = notes.get(ep.id) || { text: '', tags: [] };
+                return [...row, note.tags.join(' / '), note.text];
+            })
+        ]);
+    }
+
+    // RFC 4180 with a BOM so that Excel opens the Japanese text correctly.
+    // Text starting with = + - @ (or a tab/CR) gets a leading ' so that spreadsheets
+    // show it instead of evaluating it as a formula
+    formatCsv(rows) {
+        const quote = value => {
+            let text = String(value ?? '');
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return '\uFEFF' + rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Self-contained page for study groups: prints one episode per block
+    formatBookmarksHtml(episodes, exportedAt, title, notes) {
+        const date = exportedAt.toLocaleDateString('ja-JP');
+        const heading = `Advanced Therapist ${this.escapeHtml(title)} 読書リスト`;
+        return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${heading}（${date}）</title>
+<style>
+    body { font-family: "Hiragino Sans", "Noto Sans JP", sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1A1A1A; line-height: 1.7; }
+    h1 { font-size: 1.5rem; border-bottom: 2px solid #2C5F6F; padding-bottom: 0.5rem; }
+    li { margin-bottom: 1.5rem; break-inside: avoid; }
+    h2 { font-size: 1.1rem; margin: 0; }
+    .themes { font-size: 0.85rem; color: #2C5F6F; }
+    .note { margin: 0.5rem 0 0; padding-left: 0.75rem; border-left: 3px solid #D4AF37; white-space: pre-wrap; }
+    .check { display: inline-block; width: 0.9em; height: 0.9em; border: 1px solid #666; margin-right: 0.5em; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+<p>${date} 時点・${episodes.length}エピソード</p>
+<ol>
+${episodes.map(ep => `<li>
+    <h2><span class="check"></span>EP ${this.escapeHtml(ep.id)} ${this.escapeHtml(ep.title)}</h2>
+    ${ep.themes.length > 0 ? `<div class="themes">${ep.themes.map(theme => this.escapeHtml(theme)).join('・')}</div>` : ''}
+    ${ep.summary ? `<p>${this.escapeHtml(ep.summary)}</p>` : ''}
+    ${notes.has(ep.id) ? `<p class="note">${[
+        notes.get(ep.id).tags.map(tag => `#${this.escapeHtml(tag)}`).join(' '),
+        this.escapeHtml(notes.get(ep.id).text)
+    ].filter(Boolean).join('\n')}</p>` : ''}
+</li>`).join('\n')}
+</ol>
+</body>
+</html>
+`;
+    }
+
+    async renderStats() {
+        const container = document.getElementById('statsContent');
+        if (!this.statsLoaded) {
+            container.innerHTML = '<p class="content-loading">統計を読み込み中…</p>';
+            await this.loadStats();
+        }
+
+        const stats = this.stats;
+        document.getElementById('statsGenerated').textContent = stats
+            ? `${new Date(stats.generatedAt).toLocaleDateString('ja-JP')} 集計・${stats.totalEpisodes}エピソード`
+            : '';
+        if (!stats) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <h3>統計データがありません</h3>
+                    <p><code>node data-processor.js</code> を実行すると <code>data/stats.json</code> が生成されます</p>
+                </div>
+            `;
+            return;
+        }
+
+        // 0-1 shading for the heatmap cells
+        const heatCell = (value, heat, title) => `
+            <td class="heat-cell ${heat > 0.5 ? 'hot' : ''}" style="--heat: ${heat.toFixed(2)}"
+                title="${this.escapeHtml(title)}">${value || ''}</td>
+        `;
+        const maxCount = Math.max(1, ...stats.themes.map(theme => theme.count));
+        const { themes: pairThemes, counts } = stats.cooccurrence;
+        const maxPair = Math.max(1, ...counts.flatMap((row, i) => row.filter((_, j) => j !== i)));
+        const { keywords, series } = stats.keywordTrends;
+
+        container.innerHTML = `
+            <section class="stats-section">
+                <h3>テーマの出現頻度</h3>
+                <p class="stats-description">テーマを扱ったエピソード数。クリックでそのテーマのエピソードを表示します</p>
+                <div class="stats-bars">
+                    ${stats.themes.map(theme => `
+                        <button class="stats-bar-row" data-theme="${this.escapeHtml(theme.name)}">
+                            <span class="stats-bar-label">${this.escapeHtml(theme.name)}</span>
+                            <span class="stats-bar"><span class="stats-bar-fill" style="width: ${(theme.count / maxCount * 100).toFixed(1)}%"></span></span>
+                            <span class="stats-bar-value">${theme.count}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </section>
+
+            <section class="stats-section">
+                <h3>手薄なテーマ</h3>
+                <p class="stats-description">分類（taxonomy.json）にあるものの、扱ったエピソードがほとんどないテーマ。今後の企画の候補です</p>
+                ${stats.gaps.length > 0 ? `
+                    <div class="stats-gaps">
+                        ${stats.gaps.map(gap => `
+                            <span class="stats-gap ${gap.count === 0 ? 'uncovered' : ''}">
+                                ${this.escapeHtml(gap.name)}
+                                <small>${this.escapeHtml(gap.category)}・${gap.count}件</small>
+                            </span>
+                        `).join('')}
+                    </div>
+                ` : '<p class="stats-description">すべてのテーマが複数のエピソードで扱われています</p>'}
+            </section>
+
+            <section class="stats-section">
+                <h3>テーマの共起</h3>
+                <p class="stats-description">よく扱われるテーマの組み合わせごとに、両方を含むエピソード数（対角線はそのテーマ単独の数）</p>
+                <div class="stats-table-wrapper">
+                    <table class="heatmap">
+                        <thead>
+                            <tr><th></th>${pairThemes.map(theme => `<th class="heatmap-column"><span>${this.escapeHtml(theme)}</span></th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${pairThemes.map((a, i) => `
+                                <tr>
+                                    <th>${this.escapeHtml(a)}</th>
+                                    ${pairThemes.map((b, j) => (i === j
+                                        ? `<td class="heat-cell diagonal">${counts[i][j]}</td>`
+                                        : heatCell(counts[i][j], counts[i][j] / maxPair, `${a} × ${b}: ${counts[i][j]}エピソード`)
+                                    )).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+
+            <section class="stats-section">
+                <h3>キーワードの推移</h3>
+                <p class="stats-description">よく出るキーワードを含むエピソード数をシリーズ順に表示（色はシリーズ内の割合）</p>
+                <div class="stats-table-wrapper">
+                    <table class="heatmap">
+                        <thead>
+                            <tr><th></th>${series.map(s => `
+                                <th title="${this.escapeHtml(s.title)}">${s.id === '番外編' ? '番外編' : `#${this.escapeHtml(s.id)}`}</th>
+                            `).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            ${keywords.map((keyword, k) => `
+                                <tr>
+                                    <th>${this.escapeHtml(keyword)}</th>
+                                    ${series.map(s => heatCell(s.counts[k], s.counts[k] / s.episodes,
+                                        `${keyword}: ${s.title}（${s.counts[k]} / ${s.episodes}エピソード）`)).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+
+            <section class="stats-section">
+                <h3>中心的なエピソード</h3>
+                <p class="stats-description">関連エピソードのつながりの中で、異なる話題どうしを橋渡ししているエピソード（媒介中心性の高い順）</p>
+                <ol class="stats-central">
+                    ${stats.centralEpisodes.map(ep => `
+                        <li data-episode-id="${this.escapeHtml(ep.id)}">
+                            <span class="series-part-id">EP ${this.escapeHtml(ep.id)}</span>
+                            <span class="stats-central-title">${this.escapeHtml(ep.title)}</span>
+                            <span class="stats-central-meta">関連 ${ep.degree}件・媒介中心性 ${ep.betweenness.toFixed(2)}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </section>
+        `;
+
+        container.querySelectorAll('.stats-bar-row').forEach(row => {
+            row.addEventListener('click', () => this.showThemeEpisodes(row.dataset.theme));
+        });
+        container.querySelectorAll('.stats-central [data-episode-id]').forEach(item => {
+            item.addEventListener('click', () => {
+                if (this.episodes.some(ep => ep.id === item.dataset.episodeId)) {
+                    this.showEpisodeDetail(item.dataset.episodeId);
+                }
+            });
+        });
+    }
+
+    // Episodes view filtered to a single theme
+    showThemeEpisodes(theme) {
+        if (!this.allThemes.includes(theme)) return;
+        this.activeFilters = new Set([theme]);
+        this.excludedThemes.clear();
+        this.updateThemeTagStates();
+        this.applyFilters();
+        this.switchView('episodes');
+    }
+
+    // Done episodes whose completion date falls in the selected period, oldest first
+    getCompletedEpisodes() {
+        const { from, to } = this.progressPeriod;
+        const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+        return this.episodes
+            .map(episode => ({ episode, completedAt: Number(this.progress.get(episode.id)?.completedAt) || 0 }))
+            .filter(({ episode, completedAt }) => this.getProgressStatus(episode.id) === 'done' &&
+                completedAt >= start && completedAt <= end)
+            .sort((a, b) => a.completedAt - b.completedAt);
+    }
+
+    // Study time is the recorded length of the completed episodes; older
+    // indexes have no durations, so those are counted separately
+    sumStudyTime(completed) {
+        const timed = completed.filter(({ episode }) => episode.duration);
+        return {
+            seconds: timed.reduce((sum, { episode }) => sum + episode.duration, 0),
+            untimed: completed.length - timed.length
+        };
+    }
+
+    renderProgressDashboard() {
+        const completed = this.getCompletedEpisodes();
+        const completedIds = new Set(completed.map(({ episode }) => episode.id));
+        const total = this.episodes.length;
+        const inProgress = this.episodes.filter(ep => this.getProgressStatus(ep.id) === 'in-progress').length;
+        const studyTime = this.sumStudyTime(completed);
+        const percent = total > 0 ? Math.round(completedIds.size / total * 100) : 0;
+        const formatStudyTime = ({ seconds, untimed }) => (seconds > 0 ? this.formatDuration(seconds) : '—') +
+            (untimed > 0 ? `<span class="progress-untimed">（収録時間不明 ${untimed}件を除く）</span>` : '');
+
+        document.getElementById('progressSummary').innerHTML = `
+            <div class="progress-stat">
+                <span class="progress-stat-label">完了</span>
+                <span class="progress-stat-value">${completedIds.size} / ${total}</span>
+                <span class="progress-stat-note">${percent}%</span>
+            </div>
+            <div class="progress-stat">
+                <span class="progress-stat-label">視聴中</span>
+                <span class="progress-stat-value">${inProgress}</span>
+            </div>
+            <div class="progress-stat">
+                <span class="progress-stat-label">学習時間</span>
+                <span class="progress-stat-value">${formatStudyTime(studyTime)}</span>
+            </div>
+        `;
+
+        // Top-level themes; sub-themes count toward their parent
+        const rows = this.themeCategories
+            .flatMap(category => category.themes)
+            .filter(theme => !this.themeParents[theme])
+            .map(theme => {
+                const episodes = this.episodes.filter(ep => this.getThemeFamilyScore(ep, theme) > 0);
+                const done = completed.filter(({ episode }) => this.getThemeFamilyScore(episode, theme) > 0);
+                return { theme, total: episodes.length, done, time: this.sumStudyTime(done) };
+            })
+            .filter(row => row.total > 0);
+
+        document.getElementById('progressThemes').innerHTML = `
+            <h3>テーマ別の完了状況</h3>
+            <table class="progress-table">
+                <thead>
+                    <tr><th>テーマ</th><th>完了</th><th>進捗</th><th>学習時間</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const rowPercent = Math.round(row.done.length / row.total * 100);
+                        return `
+                            <tr>
+                                <td>${this.escapeHtml(row.theme)}</td>
+                                <td class="progress-count">${row.done.length} / ${row.total}</td>
+                                <td>
+                                    <div class="series-progress" role="progressbar" aria-valuenow="${rowPercent}"
+                                         aria-valuemin="0" aria-valuemax="100">
+                                        <div class="series-progress-bar" style="width: ${rowPercent}%"></div>
+                                    </div>
+                                </td>
+                                <td>${row.time.seconds > 0 ? this.formatDuration(row.time.seconds) : '—'}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const history = document.getElementById('progressHistory');
+        history.innerHTML = `
+            <h3>完了したエピソード</h3>
+            ${completed.length > 0 ? `
+                <ol class="progress-history-list">
+                    ${[...completed].reverse().map(({ episode, completedAt }) => `
+                        <li data-episode-id="${episode.id}">
+                            <span class="progress-history-date">${completedAt ? this.formatIsoDate(completedAt) : '日付なし'}</span>
+                            <span class="series-part-id">EP ${episode.id}</span>
+                            <span class="progress-history-title">${this.escapeHtml(episode.title)}</span>
+                            <span class="progress-history-duration">${episode.duration ? this.formatDuration(episode.duration) : ''}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : '<p class="progress-empty">この期間に完了したエピソードはありません。エピソード詳細の「完了」で記録できます</p>'}
+        `;
+        history.querySelectorAll('[data-episode-id]').forEach(item => {
+            item.addEventListener('click', () => this.showEpisodeDetail(item.dataset.episodeId));
+        });
+    }
+
+    // One row per completed episode, for continuing-education records
+    exportProgress() {
+        const completed = this.getCompletedEpisodes();
+        const studyTime = this.sumStudyTime(completed);
+        const minutes = seconds => Math.round(seconds / 60);
+        const csv = this.formatCsv([
+            ['completed', 'id', 'title', 'minutes', 'themes'],
+            ...completed.map(({ episode, completedAt }) => [
+                completedAt ? this.formatIsoDate(completedAt) : '',
+                episode.id,
+                episode.title,
+                episode.duration ? minutes(episode.duration) : '',
+                episode.themes.join(' / ')
+            ]),
+            ['', '', '合計', minutes(studyTime.seconds), '']
+        ]);
+        const stamp = new Date().toISOString().slice(0, 10);
+        this.downloadFile(csv, `advanced-therapist-progress-${stamp}.csv`, 'text/csv');
+    }
+
+    // Local date as YYYY-MM-DD (toISOString would shift it to UTC)
+    formatIsoDate(time) {
+        const date = new Date(time);
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    showError(message, details = []) {
+        const panel = document.getElementById('appError');
+        const shown = details.slice(0, 10);
+        const more = details.length - shown.length;
+
+        panel.innerHTML = `
+            <h3>${this.escapeHtml(message)}</h3>
+            ${shown.length > 0 ? `
+                <ul>
+                    ${shown.map(detail => `<li><code>${this.escapeHtml(detail)}</code></li>`).join('')}
+                    ${more > 0 ? `<li>ほか${more}件</li>` : ''}
+                </ul>
+                <p>データを再生成してください: <code>node data-processor.js validate</code> で原因を確認できます</p>
+            ` : ''}
+        `;
+        panel.style.display = 'block';
     }
 }
 
@@ -5,12 +5,165 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const SearchCore = require('./search-core');
+const { SearchIndex } = SearchCore;
+const SchemaValidator = require('./schema-validator');
+const {
+    parseFrontMatter,
+    parseMarkdown: parseMarkdownAst,
+    visit,
+    toPlainText,
+    cleanHeadingText,
+    renderHtml
+} = require('./markdown-parser');
+const { Taxonomy } = require('./taxonomy');
+const { computeLayout } = require('./graph-layout');
+
+const INDEX_SCHEMA_PATH = path.join(__dirname, 'data', 'episodes-index.schema.json');
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, 'taxonomy.json');
+const DEFAULT_LEARNING_PATHS_DIR = path.join(__dirname, 'learning-paths');
+
+// Cache entries are only valid for the code that produced them
+const PROCESSOR_VERSION = crypto.createHash('sha1')
+    .update(fs.readFileSync(__filename))
+    .update(fs.readFileSync(require.resolve('./markdown-parser')))
+    .update(fs.readFileSync(require.resolve('./taxonomy')))
+    .digest('hex');
+
+// Schema for episode front matter (every key is optional)
+const FRONT_MATTER_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        summary: { type: 'string' },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        guests: { $ref: '#/definitions/stringOrList' },
+        duration: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string' }] },
+        tags: { $ref: '#/definitions/stringOrList' },
+        series: { type: 'string', minLength: 1 },
+        audio: { type: 'string', minLength: 1 },
+        timestamps: {
+            type: 'object',
+            additionalProperties: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string' }] }
+        }
+    },
+    definitions: {
+        stringOrList: {
+            anyOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: ['string', 'number'] } }
+            ]
+        }
+    }
+};
+
+// Schema for curated learning paths (learning-paths/<id>.json)
+const LEARNING_PATH_SCHEMA = {
+    type: 'object',
+    required: ['title', 'steps'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        steps: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['episode'],
+                properties: {
+                    episode: { type: ['string', 'number'] },
+                    comment: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+// Word-like units for the similarity vectors: kanji compounds, katakana
+// words and Latin words (no morphological analysis needed)
+const SIMILARITY_TERM_PATTERN = /[\p{Script=Han}々]{2,}|[\p{Script=Katakana}ー]{3,}|[A-Za-z][A-Za-z0-9]+/gu;
+
+// Frequent words that never explain why two episodes are related
+const SIMILARITY_STOP_TERMS = new Set([
+    '自分', '今回', '場合', '必要', '部分', '意味', '最初', '最後', '結果', '一番',
+    '全部', '本当', '大事', '普通', '実際', '感じ', '話題', '番組', '前回', '次回',
+    'エピソード', 'サマリー', 'ポイント', 'テーマ'
+]);
+
+// Size of the aggregates in stats.json
+const STATS_TOP_THEMES = 12;
+const STATS_TOP_KEYWORDS = 8;
+const STATS_CENTRAL_EPISODES = 10;
+// Taxonomy themes covered by at most this many episodes count as gaps
+const STATS_GAP_MAX_EPISODES = 1;
+
+// Headings too generic to serve as an episode title
+const GENERIC_HEADINGS = ['サマリー', 'はじめに', '概要', 'まとめ', 'おわりに'];
 
 class EpisodeProcessor {
-    constructor(sourceDir, outputDir) {
+    constructor(sourceDir, outputDir, options = {}) {
         this.sourceDir = sourceDir;
         this.outputDir = outputDir;
         this.episodes = [];
+        this.cachePath = options.cachePath || path.join(outputDir, '.cache', 'processor-cache.json');
+        this.useCache = options.cache !== false;
+        this.cache = null;
+        this.cacheStats = { parsed: 0, cached: 0 };
+        this.similarityThreshold = options.similarityThreshold ?? 0.1;
+        this.maxRelated = options.maxRelated ?? 5;
+        this.log = options.logger || console.log;
+        this.taxonomyPath = options.taxonomyPath || DEFAULT_TAXONOMY_PATH;
+        this.taxonomy = null;
+        this.learningPathsDir = options.learningPathsDir || DEFAULT_LEARNING_PATHS_DIR;
+        this.learningPaths = [];
+        this.graph = null;
+    }
+
+    // Theme and keyword definitions from taxonomy.json (loaded on first use)
+    getTaxonomy() {
+        if (!this.taxonomy) {
+            this.taxonomy = Taxonomy.load(this.taxonomyPath);
+        }
+        return this.taxonomy;
+    }
+
+    hashContent(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    // Parsed episodes keyed by filename + content hash, and the related-episode
+    // pass keyed by the hash of the whole corpus
+    loadCache() {
+        // Editing the taxonomy changes the themes and keywords of every file
+        const version = this.hashContent(PROCESSOR_VERSION + fs.readFileSync(this.taxonomyPath, 'utf-8'));
+        const empty = { version, files: {}, related: null };
+        if (!this.useCache) return empty;
+
+        try {
+            const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf-8'));
+            if (cache.version === version) return cache;
+        } catch (error) {
+            // No cache yet (or unreadable): start from scratch
+        }
+        return empty;
+    }
+
+    saveCache() {
+        if (!this.useCache || !this.cache) return;
+        fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+        fs.writeFileSync(this.cachePath, JSON.stringify(this.cache), 'utf-8');
+    }
+
+    // Skip rewriting unchanged files (keeps mtimes stable for watchers and servers)
+    writeIfChanged(filePath, data) {
+        if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === data) {
+            return false;
+        }
+        fs.writeFileSync(filePath, data, 'utf-8');
+        return true;
     }
 
     // Extract episode ID from filename
@@ -19,200 +172,653 @@ class EpisodeProcessor {
         return match ? match[1] : null;
     }
 
-    // Parse markdown content
+    // Parse markdown content (optional YAML front matter + markdown body)
     parseMarkdown(content, filename) {
-        const lines = content.split('\n');
-        let summary = '';
-        let themes = [];
-        let keywords = new Set();
-        let sections = [];
-        
-        // Extract summary (content between ## サマリー and next ##)
-        let inSummary = false;
-        let summaryLines = [];
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            if (line.startsWith('## サマリー')) {
-                inSummary = true;
-                continue;
-            }
-            
-            if (inSummary) {
-                if (line.startsWith('##') || line.startsWith('###')) {
-                    inSummary = false;
-                } else if (line.length > 0) {
-                    summaryLines.push(line);
-                }
-            }
-            
-            // Extract section headers
-            if (line.startsWith('###')) {
-                sections.push(line.replace(/^###\s*/, '').replace(/◆\s*/, ''));
-            }
-            
-            // Extract keywords from content
-            this.extractKeywords(line, keywords);
+        let frontMatter;
+        try {
+            frontMatter = parseFrontMatter(content);
+        } catch (error) {
+            throw new Error(`${filename}: ${error.message}`);
         }
-        
-        summary = summaryLines.join(' ').replace(/^>\s*/, '').substring(0, 500);
-        
-        // Extract themes from 主なテーマ section
-        themes = this.extractThemes(content);
-        
+
+        const metadata = frontMatter.data;
+        const ast = parseMarkdownAst(frontMatter.body);
+        const plainText = toPlainText(ast);
+
+        // Section headers: ### and deeper
+        const sections = [];
+        const headings = [];
+        visit(ast, node => {
+            if (node.type === 'heading') {
+                const text = cleanHeadingText(toPlainText(node));
+                if (text) headings.push(text);
+                if (text && node.depth >= 3) sections.push(text);
+            }
+        });
+
+        // Explicit tags count as keywords too
+        const tags = this.toList(metadata.tags);
+        const keywords = new Set([...tags, ...this.extractKeywords(plainText)]);
+
+        const summary = this.extractSummary(ast, metadata);
+        const themeScores = this.scoreThemes(this.extractThemes(plainText), {
+            text: plainText,
+            summary,
+            headings: [metadata.title || '', ...headings].join('\n')
+        });
+
         return {
             summary,
-            themes,
+            themes: Object.keys(themeScores),
+            themeScores,
+            terms: this.extractTerms(plainText),
             keywords: Array.from(keywords),
             sections,
+            passages: this.extractPassages(ast),
+            date: metadata.date ? String(metadata.date) : null,
+            guests: this.toList(metadata.guests),
+            duration: this.parseDuration(metadata.duration),
+            tags,
+            audio: metadata.audio ? String(metadata.audio).trim() : null,
+            timestamps: this.parseTimestamps(metadata.timestamps),
+            metadata,
+            ast,
             content
         };
     }
 
-    // Extract themes from content
+    // Front matter lists may be written as a list or a single string
+    toList(value) {
+        if (value === null || value === undefined || value === '') return [];
+        return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+    }
+
+    // Duration in seconds from 45 (minutes), "45:30", "1:02:03", "45分" or "45min"
+    parseDuration(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return Math.round(value * 60);
+
+        const text = String(value).trim();
+        if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+            return text.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+        }
+        const match = text.match(/^(?:(\d+)\s*(?:時間|h))?\s*(?:(\d+)\s*(?:分|min|m))?\s*(?:(\d+)\s*(?:秒|s))?$/);
+        if (match && (match[1] || match[2] || match[3])) {
+            return (Number(match[1] || 0) * 3600) + (Number(match[2] || 0) * 60) + Number(match[3] || 0);
+        }
+        return null;
+    }
+
+    // Unlike a duration, a bare number in timestamps is seconds (イントロ: 30 is 0:30)
+    parseTimestamp(value) {
+        return typeof value === 'number' ? Math.round(value) : this.parseDuration(value);
+    }
+
+    // Section title -> start in seconds ("12:30", "1:02:03", "12分30秒", 90);
+    // titles are cleaned like the headings they refer to
+    parseTimestamps(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+        return Object.fromEntries(Object.entries(value)
+            .map(([section, time]) => [cleanHeadingText(section), this.parseTimestamp(time)])
+            .filter(([section, seconds]) => section && seconds !== null));
+    }
+
+    // Summary: front matter, else the サマリー section, else the first paragraph
+    extractSummary(ast, metadata) {
+        if (metadata.summary) {
+            return String(metadata.summary).replace(/\s+/g, ' ').trim().substring(0, 500);
+        }
+
+        const blocks = ast.children;
+        let summaryBlocks = [];
+        const start = blocks.findIndex(node =>
+            node.type === 'heading' && toPlainText(node).includes('サマリー')
+        );
+        if (start >= 0) {
+            for (let i = start + 1; i < blocks.length && blocks[i].type !== 'heading'; i++) {
+                summaryBlocks.push(blocks[i]);
+            }
+        }
+
+        if (summaryBlocks.length === 0) {
+            const first = blocks.find(node => node.type === 'paragraph' || node.type === 'blockquote');
+            summaryBlocks = first ? [first] : [];
+        }
+
+        return summaryBlocks
+            .map(toPlainText)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 500);
+    }
+
+    // Split body text into plain-text passages (one per line) for full-text search
+    extractPassages(ast) {
+        const passages = [];
+        let currentSection = '';
+
+        const addLines = inlines => {
+            let line = [];
+            [...inlines, { type: 'break' }].forEach(node => {
+                if (node.type === 'break') {
+                    const text = line.map(toPlainText).join('').trim();
+                    if (text.length > 1) {
+                        passages.push({ section: currentSection, text });
+                    }
+                    line = [];
+                } else {
+                    line.push(node);
+                }
+            });
+        };
+
+        const walk = nodes => nodes.forEach(node => {
+            if (node.type === 'heading') {
+                currentSection = cleanHeadingText(toPlainText(node));
+            } else if (node.type === 'paragraph') {
+                addLines(node.children);
+            } else if (node.type !== 'code' && node.children) {
+                walk(node.children);
+            }
+        });
+        walk(ast.children);
+
+        return passages;
+    }
+
+    // Themes of the taxonomy that occur in the content (synonyms map to the
+    // canonical name)
     extractThemes(content) {
-        const themes = [];
-        const themePatterns = [
-            '働き方', 'キャリア', '理学療法', '歴史', 'メンタルヘルス',
-            '精神医療', '教育', '研究', '起業', 'ビジネス',
-            '哲学', '科学', 'エビデンス', '評価', '治療',
-            '公衆衛生', '地域包括ケア', '高齢化', '介護',
-            '発達障害', '認知症', 'うつ', 'ストレス',
-            'スポーツ', 'リハビリテーション', '身体', '運動療法'
-        ];
-        
-        themePatterns.forEach(theme => {
-            if (content.includes(theme)) {
-                themes.push(theme);
+        return this.getTaxonomy().matchThemes(content);
+    }
+
+    /**
+     * Relevance of each matched theme: how often it occurs (sublinear), plus a
+     * bonus for appearing in the summary or in a heading. Scores are scaled so
+     * the strongest theme of the episode is 1; returned strongest first.
+     */
+    scoreThemes(themes, { text, summary, headings }) {
+        const taxonomy = this.getTaxonomy();
+        const raw = themes.map(theme => {
+            let score = Math.log(1 + taxonomy.countTheme(theme, text));
+            if (taxonomy.countTheme(theme, summary) > 0) score += 1.5;
+            if (taxonomy.countTheme(theme, headings) > 0) score += 1;
+            return [theme, score];
+        });
+
+        const max = Math.max(0, ...raw.map(([, score]) => score));
+        return Object.fromEntries(raw
+            .sort((a, b) => b[1] - a[1])
+            .map(([theme, score]) => [theme, max > 0 ? Math.round((score / max) * 100) / 100 : 0]));
+    }
+
+    // Keywords of the taxonomy that occur in the content
+    extractKeywords(content) {
+        return this.getTaxonomy().matchKeywords(content);
+    }
+
+    // Render the episode AST to HTML and collect a table of contents
+    renderContent(ast) {
+        const headings = [];
+        visit(ast, node => {
+            if (node.type === 'heading' && node.depth >= 2) {
+                const raw = toPlainText(node);
+                headings.push({ id: node.id, level: node.depth, raw, title: cleanHeadingText(raw) });
             }
         });
-        
-        return [...new Set(themes)];
-    }
-
-    // Extract keywords from text
-    extractKeywords(text, keywordSet) {
-        const importantTerms = [
-            'セラピスト', '理学療法士', 'PT', 'OT', '作業療法士',
-            '患者', '治療', '評価', '介入', 'リハビリ',
-            '病院', '施設', '地域', '在宅', '訪問',
-            'エビデンス', 'EBM', '研究', '論文', '学術',
-            '教育', '養成', '大学', '協会', '資格',
-            'メンタル', '精神', '心理', 'ストレス', 'ウェルビーイング',
-            '起業', '独立', 'フリーランス', 'コンサル',
-            '運動', '身体', '機能', '動作', '姿勢'
-        ];
-        
-        importantTerms.forEach(term => {
-            if (text.includes(term)) {
-                keywordSet.add(term);
+
+        // The table of contents follows the ◆ headings when the episode uses them
+        const marked = headings.filter(h => h.raw.includes('◆'));
+        const toc = (marked.length > 0 ? marked : headings)
+            .filter(h => h.title)
+            .map(({ id, level, title }) => ({ id, level, title }));
+
+        return { html: renderHtml(ast), toc };
+    }
+
+    // Term frequencies of the word-like units in text; taxonomy synonyms are
+    // counted under their canonical name so PT and 理学療法士 line up
+    extractTerms(text) {
+        const taxonomy = this.getTaxonomy();
+        const terms = {};
+        (text.normalize('NFKC').match(SIMILARITY_TERM_PATTERN) || []).forEach(match => {
+            const term = taxonomy.canonicalName(match);
+            if (!SIMILARITY_STOP_TERMS.has(term)) {
+                terms[term] = (terms[term] || 0) + 1;
             }
         });
+        return terms;
     }
 
-    // Calculate similarity between episodes based on shared keywords
-    calculateSimilarity(episode1, episode2) {
-        const keywords1 = new Set(episode1.keywords);
-        const keywords2 = new Set(episode2.keywords);
-        const themes1 = new Set(episode1.themes);
-        const themes2 = new Set(episode2.themes);
-        
-        const sharedKeywords = [...keywords1].filter(k => keywords2.has(k)).length;
-        const sharedThemes = [...themes1].filter(t => themes2.has(t)).length;
-        
-        const totalKeywords = keywords1.size + keywords2.size;
-        const totalThemes = themes1.size + themes2.size;
-        
-        const keywordScore = totalKeywords > 0 ? (sharedKeywords * 2) / totalKeywords : 0;
-        const themeScore = totalThemes > 0 ? (sharedThemes * 2) / totalThemes : 0;
-        
-        return (keywordScore * 0.6 + themeScore * 0.4);
+    /**
+     * TF-IDF vectors (sublinear tf, unit length) keyed by episode ID. Terms
+     * found in a single episode, or in every episode, carry no signal.
+     */
+    buildTermVectors(episodes) {
+        const termCounts = episodes.map(episode => episode.terms);
+
+        const df = new Map();
+        termCounts.forEach(counts => {
+            Object.keys(counts).forEach(term => df.set(term, (df.get(term) || 0) + 1));
+        });
+
+        const vectors = new Map();
+        episodes.forEach((episode, i) => {
+            const vector = new Map();
+            Object.entries(termCounts[i]).forEach(([term, tf]) => {
+                const docs = df.get(term);
+                if (docs < 2 || docs === episodes.length) return;
+                vector.set(term, (1 + Math.log(tf)) * Math.log(episodes.length / docs));
+            });
+
+            const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+            vector.forEach((weight, term) => vector.set(term, weight / (norm || 1)));
+            vectors.set(episode.id, vector);
+        });
+        return vectors;
+    }
+
+    // Cosine similarity of two unit vectors, with the terms contributing most
+    calculateSimilarity(vector1, vector2, maxSharedTerms = 5) {
+        const [small, large] = vector1.size <= vector2.size ? [vector1, vector2] : [vector2, vector1];
+        const contributions = [];
+        let similarity = 0;
+
+        small.forEach((weight, term) => {
+            if (large.has(term)) {
+                const contribution = weight * large.get(term);
+                similarity += contribution;
+                contributions.push([term, contribution]);
+            }
+        });
+
+        return {
+            similarity,
+            sharedTerms: contributions
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, maxSharedTerms)
+                .map(([term]) => term)
+        };
     }
 
     // Find related episodes
-    findRelatedEpisodes(currentEpisode, allEpisodes, threshold = 0.3) {
+    findRelatedEpisodes(currentEpisode, allEpisodes, vectors = this.buildTermVectors(allEpisodes)) {
         const related = [];
-        
+        const currentVector = vectors.get(currentEpisode.id);
+
         allEpisodes.forEach(episode => {
             if (episode.id !== currentEpisode.id) {
-                const similarity = this.calculateSimilarity(currentEpisode, episode);
-                if (similarity >= threshold) {
+                const { similarity, sharedTerms } = this.calculateSimilarity(currentVector, vectors.get(episode.id));
+                if (similarity >= this.similarityThreshold) {
                     related.push({
                         id: episode.id,
                         title: episode.title,
-                        similarity: Math.round(similarity * 100)
+                        similarity: Math.round(similarity * 100),
+                        sharedTerms
                     });
                 }
             }
         });
-        
-        return related.sort((a, b) => b.similarity - a.similarity).slice(0, 5);
+
+        return related.sort((a, b) => b.similarity - a.similarity).slice(0, this.maxRelated);
     }
 
-    // Generate title from filename and content
-    generateTitle(filename, content) {
-        const id = this.extractEpisodeId(filename);
-        
+    // Generate title: front matter first, then the first meaningful heading
+    generateTitle(id, metadata, ast) {
+        if (metadata.title) return String(metadata.title).trim();
+
         // Special handling for episode 0 and 番外編
         if (id === '0') return '番組の方向性';
         if (id.startsWith('番外編')) return `番外編 ${id.split('-')[1]}`;
-        
-        // Try to extract title from first heading or summary
-        const lines = content.split('\n');
-        for (const line of lines) {
-            if (line.startsWith('##') && !line.includes('サマリー')) {
-                return line.replace(/^##\s*/, '').trim();
+
+        const headings = [];
+        visit(ast, node => {
+            if (node.type === 'heading') {
+                const text = cleanHeadingText(toPlainText(node));
+                if (text && !GENERIC_HEADINGS.some(generic => text.startsWith(generic))) {
+                    headings.push({ depth: node.depth, text });
+                }
             }
-        }
-        
-        return `エピソード ${id}`;
+        });
+
+        const heading = headings.find(h => h.depth <= 2) || headings[0];
+        return heading ? heading.text : `エピソード ${id}`;
     }
 
     // Process all markdown files
-    async processAllFiles() {
-        const files = fs.readdirSync(this.sourceDir)
+    listSourceFiles() {
+        return fs.readdirSync(this.sourceDir)
             .filter(f => f.endsWith('.md') && f !== 'README.md');
+    }
+
+    // Read and parse a single episode file (reusing the cache when unchanged)
+    loadEpisode(file, episodeId) {
+        const filePath = path.join(this.sourceDir, file);
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const hash = this.hashContent(content);
+
+        const cached = this.cache && this.cache.files[file];
+        if (cached && cached.hash === hash) {
+            this.cacheStats.cached++;
+            return cached.episode;
+        }
+
+        const parsed = this.parseMarkdown(content, file);
+        const title = this.generateTitle(episodeId, parsed.metadata, parsed.ast);
+        const episode = {
+            id: episodeId,
+            filename: file,
+            title,
+            ...this.parseEpisodeId(episodeId),
+            ...parsed
+        };
+
+        if (this.cache) {
+            this.cache.files[file] = { hash, episode };
+        }
+        this.cacheStats.parsed++;
+        return episode;
+    }
+
+    async processAllFiles() {
+        const files = this.listSourceFiles();
+        this.episodes = [];
+        // Reload so that watch-mode rebuilds pick up taxonomy edits
+        this.taxonomy = Taxonomy.load(this.taxonomyPath);
+        this.cache = this.loadCache();
+        this.cacheStats = { parsed: 0, cached: 0 };
+        
+        this.log(`Found ${files.length} markdown files`);
         
-        console.log(`Found ${files.length} markdown files`);
+        // Forget files that were deleted or renamed
+        Object.keys(this.cache.files)
+            .filter(file => !files.includes(file))
+            .forEach(file => delete this.cache.files[file]);
         
         // First pass: parse all files
         for (const file of files) {
             const episodeId = this.extractEpisodeId(file);
-            if (!episodeId) continue;
-            
-            const filePath = path.join(this.sourceDir, file);
-            const content = fs.readFileSync(filePath, 'utf-8');
-            const parsed = this.parseMarkdown(content, file);
-            const title = this.generateTitle(file, content);
+            if (!episodeId) {
+                this.log(`Warning: skipping ${file}: filename is not an episode ID`);
+                continue;
+            }
             
-            this.episodes.push({
-                id: episodeId,
-                filename: file,
-                title,
-                ...parsed
-            });
+            this.episodes.push(this.loadEpisode(file, episodeId));
         }
         
-        console.log(`Processed ${this.episodes.length} episodes`);
+        this.log(`Processed ${this.episodes.length} episodes ` +
+            `(${this.cacheStats.parsed} parsed, ${this.cacheStats.cached} from cache)`);
         
-        // Second pass: find related episodes
-        this.episodes.forEach(episode => {
-            episode.relatedEpisodes = this.findRelatedEpisodes(episode, this.episodes);
+        this.linkAndSortEpisodes();
+        this.saveCache();
+
+        // A broken path must not stop the build (or a watch session); it is left out
+        // here and only `validate` treats it as an error
+        this.learningPaths = this.loadLearningPaths((level, file, message) => {
+            const consequence = level === 'error' ? ' (path skipped)' : '';
+            this.log(`Warning: ${file}: ${message}${consequence}`);
         });
+        return this.episodes;
+    }
+
+    /**
+     * Curated learning paths from learningPathsDir, one JSON file per path
+     * (the filename is its ID), checked against the loaded episodes.
+     * Returns [{ id, title, description, steps: [{ episodeId, comment }] }];
+     * invalid files are reported and left out.
+     */
+    loadLearningPaths(report) {
+        if (!fs.existsSync(this.learningPathsDir)) return [];
+
+        const dirname = path.basename(this.learningPathsDir);
+        const episodeIds = new Map(this.episodes.map(ep => [this.canonicalEpisodeId(ep.id), ep.id]));
+        return fs.readdirSync(this.learningPathsDir)
+            .filter(f => f.endsWith('.json'))
+            .sort()
+            .map(file => {
+                const label = `${dirname}/${file}`;
+                let definition;
+                try {
+                    definition = JSON.parse(fs.readFileSync(path.join(this.learningPathsDir, file), 'utf-8'));
+                } catch (error) {
+                    report('error', label, `cannot parse JSON: ${error.message}`);
+                    return null;
+                }
+
+                const schemaErrors = SchemaValidator.validate(LEARNING_PATH_SCHEMA, definition);
+                schemaErrors.forEach(error => report('error', label, `${error.path || '(root)'}: ${error.message}`));
+                if (schemaErrors.length > 0) return null;
+
+                let valid = true;
+                const seen = new Set();
+                const steps = definition.steps.map((step, i) => {
+                    const episodeId = episodeIds.get(this.canonicalEpisodeId(String(step.episode)));
+                    if (!episodeId) {
+                        report('error', label, `step ${i + 1}: unknown episode ID "${step.episode}"`);
+                        valid = false;
+                    } else if (seen.has(episodeId)) {
+                        report('warning', label, `step ${i + 1}: EP ${episodeId} appears more than once`);
+                    }
+                    seen.add(episodeId);
+                    return { episodeId, comment: step.comment || '' };
+                });
+
+                return valid ? {
+                    id: path.basename(file, '.json'),
+                    title: definition.title,
+                    description: definition.description || '',
+                    steps
+                } : null;
+            })
+            .filter(Boolean);
+    }
+
+    linkAndSortEpisodes() {
+        // Second pass: find related episodes (skipped when no file changed)
+        const signature = this.cache && this.hashContent(JSON.stringify({
+            files: this.episodes.map(ep => [ep.filename, this.cache.files[ep.filename].hash]).sort(),
+            threshold: this.similarityThreshold,
+            maxRelated: this.maxRelated
+        }));
+
+        if (this.cache && this.cache.related && this.cache.related.signature === signature) {
+            this.episodes.forEach(episode => {
+                episode.relatedEpisodes = this.cache.related.byId[episode.id] || [];
+            });
+        } else {
+            const vectors = this.buildTermVectors(this.episodes);
+            this.episodes.forEach(episode => {
+                episode.relatedEpisodes = this.findRelatedEpisodes(episode, this.episodes, vectors);
+            });
+            if (this.cache) {
+                this.cache.related = {
+                    signature,
+                    byId: Object.fromEntries(this.episodes.map(ep => [ep.id, ep.relatedEpisodes]))
+                };
+            }
+        }
         
-        // Sort episodes
-        this.episodes.sort((a, b) => {
-            const getOrder = (id) => {
-                if (id === '0') return 0;
-                if (id.startsWith('番外編')) return 1000 + parseInt(id.split('-')[1]);
-                const parts = id.split('-');
-                return parseInt(parts[0]) * 10 + (parts[1] ? parseInt(parts[1]) : 0);
-            };
-            return getOrder(a.id) - getOrder(b.id);
+        // Sort episodes: numbered series in order, then 番外編
+        const seriesOrder = series => (series === '番外編' ? Infinity : parseInt(series, 10));
+        this.episodes.sort((a, b) =>
+            (seriesOrder(a.series) - seriesOrder(b.series) || (a.part || 0) - (b.part || 0))
+        );
+
+        this.graph = this.generateGraph();
+    }
+
+    // "7-2" -> series "7", part 2; "番外編-3" -> series "番外編", part 3;
+    // "0" -> series "0" without parts
+    parseEpisodeId(id) {
+        const [series, part] = this.canonicalEpisodeId(id).split('-');
+        return { series, part: part !== undefined ? parseInt(part, 10) : null };
+    }
+
+    /**
+     * Series in episode order: { id, number, title, parts: [{ id, part, title }] }.
+     * The title comes from a `series:` front matter key on any part, else from
+     * the first part (番外編 is the series of specials).
+     */
+    generateSeries() {
+        const seriesById = new Map();
+        this.episodes.forEach(ep => {
+            if (!seriesById.has(ep.series)) {
+                seriesById.set(ep.series, {
+                    id: ep.series,
+                    number: ep.series === '番外編' ? null : parseInt(ep.series, 10),
+                    title: null,
+                    parts: []
+                });
+            }
+            const series = seriesById.get(ep.series);
+            series.parts.push({ id: ep.id, part: ep.part, title: ep.title });
+            if (!series.title && ep.metadata.series) {
+                series.title = String(ep.metadata.series);
+            }
         });
-        
-        return this.episodes;
+
+        return [...seriesById.values()].map(series => ({
+            ...series,
+            title: series.title || (series.id === '番外編' ? '番外編' : series.parts[0].title)
+        }));
+    }
+
+    // "01-1" and "1-1" name the same episode
+    canonicalEpisodeId(id) {
+        return id.replace(/\d+/g, digits => String(parseInt(digits, 10)));
+    }
+
+    /**
+     * Check every source file against the front matter schema and content
+     * rules, then the generated index against episodes-index.schema.json.
+     * Returns { files, errors, warnings, issues: [{ level, file, message }] }.
+     */
+    async validate() {
+        const issues = [];
+        const report = (level, file, message) => issues.push({ level, file, message });
+        const knownKeys = Object.keys(FRONT_MATTER_SCHEMA.properties);
+        const seenIds = new Map();
+        const seenTitles = new Map();
+
+        const files = this.listSourceFiles();
+        this.episodes = [];
+
+        try {
+            this.getTaxonomy();
+        } catch (error) {
+            // Nothing can be extracted without a usable taxonomy
+            report('error', path.basename(this.taxonomyPath), error.message.replace(/^[^:]+: /, ''));
+            return { files: files.length, errors: 1, warnings: 0, issues };
+        }
+
+        files.forEach(file => {
+            const episodeId = this.extractEpisodeId(file);
+            if (!episodeId) {
+                report('warning', file, 'filename is not an episode ID (e.g. 7-1.md, 番外編-2.md); file is skipped');
+                return;
+            }
+
+            const canonicalId = this.canonicalEpisodeId(episodeId);
+            if (seenIds.has(canonicalId)) {
+                report('error', file, `duplicate episode ID ${canonicalId} (also ${seenIds.get(canonicalId)})`);
+                return;
+            }
+            seenIds.set(canonicalId, file);
+
+            let episode;
+            try {
+                episode = this.loadEpisode(file, episodeId);
+            } catch (error) {
+                report('error', file, error.message.replace(`${file}: `, ''));
+                return;
+            }
+
+            SchemaValidator.validate(FRONT_MATTER_SCHEMA, episode.metadata).forEach(error => {
+                report('error', file, `front matter ${error.path}: ${error.message}`);
+            });
+            Object.keys(episode.metadata)
+                .filter(key => !knownKeys.includes(key))
+                .forEach(key => report('warning', file, `unknown front matter key "${key}"`));
+            if (episode.metadata.duration !== undefined && episode.duration === null) {
+                report('error', file, `front matter duration: cannot parse "${episode.metadata.duration}"`);
+            }
+            this.checkAudio(episode, report);
+
+            if (episode.title === `エピソード ${episodeId}`) {
+                report('warning', file, `no title found; falling back to "${episode.title}"`);
+            }
+            if (seenTitles.has(episode.title)) {
+                report('warning', file, `title "${episode.title}" is also used by ${seenTitles.get(episode.title)}`);
+            } else {
+                seenTitles.set(episode.title, file);
+            }
+            if (!episode.summary) {
+                report('warning', file, 'missing summary (no サマリー section or paragraph)');
+            }
+            if (episode.themes.length === 0) {
+                report('warning', file, 'no themes matched');
+            }
+
+            this.episodes.push(episode);
+        });
+
+        // Validate what would be written to episodes-index.json
+        this.linkAndSortEpisodes();
+        this.learningPaths = this.loadLearningPaths(report);
+        const schema = JSON.parse(fs.readFileSync(INDEX_SCHEMA_PATH, 'utf-8'));
+        SchemaValidator.validate(schema, this.generateIndex()).forEach(error => {
+            report('error', 'episodes-index.json', `${error.path || '(root)'}: ${error.message}`);
+        });
+
+        return {
+            files: files.length,
+            errors: issues.filter(issue => issue.level === 'error').length,
+            warnings: issues.filter(issue => issue.level === 'warning').length,
+            issues
+        };
+    }
+
+    // Audio files given as a local path must exist next to index.html (the
+    // parent of the output directory); timestamps must name a section and
+    // fall within the episode
+    checkAudio(episode, report) {
+        const { audio, timestamps, metadata, filename } = episode;
+        if (audio && !/^[a-z][a-z0-9+.-]*:/i.test(audio)) {
+            const siteRoot = path.resolve(this.outputDir, '..');
+            if (!fs.existsSync(path.join(siteRoot, audio.replace(/^\.?\//, '')))) {
+                report('warning', filename, `audio file not found: ${audio} (relative to ${siteRoot})`);
+            }
+        }
+
+        const rawTimestamps = metadata.timestamps && typeof metadata.timestamps === 'object' ? metadata.timestamps : {};
+        Object.entries(rawTimestamps).forEach(([section, time]) => {
+            if (this.parseTimestamp(time) === null) {
+                report('error', filename, `front matter timestamps: cannot parse "${time}" for "${section}"`);
+            }
+        });
+        if (episode.duration) {
+            Object.entries(timestamps)
+                .filter(([, seconds]) => seconds >= episode.duration)
+                .forEach(([section, seconds]) => report('error', filename,
+                    `timestamp for "${section}" starts at ${seconds}s, but the episode is ${episode.duration}s long`));
+        }
+        Object.keys(timestamps)
+            .filter(section => !episode.sections.includes(section))
+            .forEach(section => report('warning', filename, `timestamp for unknown section "${section}"`));
+        if (Object.keys(timestamps).length > 0 && !audio) {
+            report('warning', filename, 'timestamps without audio');
+        }
+    }
+
+    printValidationReport(result) {
+        this.log(`Validated ${result.files} source files\n`);
+        result.issues
+            .sort((a, b) => (a.level === b.level ? a.file.localeCompare(b.file) : a.level === 'error' ? -1 : 1))
+            .forEach(issue => {
+                this.log(`  ${issue.level.toUpperCase().padEnd(8)} ${issue.file}  ${issue.message}`);
+            });
+        this.log(`\n${result.errors} errors, ${result.warnings} warnings`);
     }
 
     // Generate episodes index JSON
@@ -220,14 +826,26 @@ class EpisodeProcessor {
         const index = {
             generatedAt: new Date().toISOString(),
             totalEpisodes: this.episodes.length,
+            series: this.generateSeries(),
+            learningPaths: this.learningPaths,
+            graph: this.graph || this.generateGraph(),
             episodes: this.episodes.map(ep => ({
                 id: ep.id,
                 filename: ep.filename,
                 title: ep.title,
+                series: ep.series,
+                part: ep.part,
                 summary: ep.summary,
                 themes: ep.themes,
+                themeScores: ep.themeScores,
                 keywords: ep.keywords,
                 sections: ep.sections,
+                date: ep.date,
+                guests: ep.guests,
+                duration: ep.duration,
+                tags: ep.tags,
+                audio: ep.audio,
+                timestamps: ep.timestamps,
                 relatedEpisodes: ep.relatedEpisodes
             }))
         };
@@ -235,6 +853,180 @@ class EpisodeProcessor {
         return index;
     }
 
+    /**
+     * Knowledge graph for the browser: one edge per related pair (the stronger
+     * direction wins) and precomputed node positions, so the app can draw it
+     * without running physics. { nodes: [{ id, x, y }], edges: [{ from, to, similarity, sharedTerms }] }
+     */
+    generateGraph() {
+        const edgesByPair = new Map();
+        this.episodes.forEach(ep => {
+            ep.relatedEpisodes.forEach(rel => {
+                const [from, to] = [ep.id, rel.id].sort();
+                const pair = `${from}|${to}`;
+                if (!edgesByPair.has(pair) || rel.similarity > edgesByPair.get(pair).similarity) {
+                    edgesByPair.set(pair, { from, to, similarity: rel.similarity, sharedTerms: rel.sharedTerms || [] });
+                }
+            });
+        });
+        const edges = [...edgesByPair.values()];
+
+        // The layout only changes with the related pairs, so it is cached with them
+        const related = this.cache && this.cache.related;
+        const positions = (related && related.layout) || computeLayout(
+            this.episodes.map(ep => ep.id),
+            edges.map(edge => ({ from: edge.from, to: edge.to, weight: edge.similarity / 100 }))
+        );
+        if (related) {
+            related.layout = positions;
+        }
+
+        return {
+            nodes: this.episodes.map(ep => ({ id: ep.id, ...positions[ep.id] })),
+            edges
+        };
+    }
+
+    /**
+     * Aggregates for the statistics view and for planning new episodes:
+     * theme frequency, taxonomy themes with little coverage, co-occurrence of
+     * the most frequent themes, keyword frequency per series in episode order,
+     * and the most central episodes of the related-episode graph.
+     */
+    generateStats() {
+        const taxonomy = this.getTaxonomy();
+        const categoryLabel = theme => {
+            const category = taxonomy.categories.find(c => c.id === taxonomy.getCategory(theme));
+            return category ? category.label : 'その他';
+        };
+
+        const themeCounts = countBy(this.episodes, 'themes');
+        const countByTheme = new Map(themeCounts.map(({ name, count }) => [name, count]));
+        const topThemes = themeCounts.slice(0, STATS_TOP_THEMES).map(({ name }) => name);
+        const topKeywords = countBy(this.episodes, 'keywords').slice(0, STATS_TOP_KEYWORDS).map(({ name }) => name);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totalEpisodes: this.episodes.length,
+            themes: themeCounts.map(({ name, count }) => ({ name, category: categoryLabel(name), count })),
+            gaps: taxonomy.themes
+                .map(theme => ({ name: theme.name, category: categoryLabel(theme.name), count: countByTheme.get(theme.name) || 0 }))
+                .filter(theme => theme.count <= STATS_GAP_MAX_EPISODES)
+                .sort((a, b) => a.count - b.count),
+            cooccurrence: {
+                themes: topThemes,
+                counts: topThemes.map(a => topThemes.map(b =>
+                    this.episodes.filter(ep => ep.themes.includes(a) && ep.themes.includes(b)).length
+                ))
+            },
+            keywordTrends: {
+                keywords: topKeywords,
+                series: this.generateSeries().map(series => {
+                    const episodes = this.episodes.filter(ep => ep.series === series.id);
+                    return {
+                        id: series.id,
+                        title: series.title,
+                        episodes: episodes.length,
+                        counts: topKeywords.map(keyword => episodes.filter(ep => ep.keywords.includes(keyword)).length)
+                    };
+                })
+            },
+            centralEpisodes: this.calculateCentrality().slice(0, STATS_CENTRAL_EPISODES)
+        };
+    }
+
+    /**
+     * Degree, summed similarity and betweenness (Brandes, unweighted,
+     * normalized to 0-1) of every episode in the related-episode graph,
+     * most central first: episodes that bridge otherwise separate topics.
+     */
+    calculateCentrality() {
+        const graph = this.graph || this.generateGraph();
+        const ids = this.episodes.map(ep => ep.id);
+        const neighbors = new Map(ids.map(id => [id, []]));
+        const strength = new Map(ids.map(id => [id, 0]));
+        graph.edges.forEach(({ from, to, similarity }) => {
+            neighbors.get(from).push(to);
+            neighbors.get(to).push(from);
+            strength.set(from, strength.get(from) + similarity / 100);
+            strength.set(to, strength.get(to) + similarity / 100);
+        });
+
+        const betweenness = new Map(ids.map(id => [id, 0]));
+        ids.forEach(source => {
+            const order = [];
+            const predecessors = new Map(ids.map(id => [id, []]));
+            const paths = new Map(ids.map(id => [id, 0]));
+            const distance = new Map([[source, 0]]);
+            paths.set(source, 1);
+
+            const queue = [source];
+            for (let i = 0; i < queue.length; i++) {
+                const v = queue[i];
+                order.push(v);
+                neighbors.get(v).forEach(w => {
+                    if (!distance.has(w)) {
+                        distance.set(w, distance.get(v) + 1);
+                        queue.push(w);
+                    }
+                    if (distance.get(w) === distance.get(v) + 1) {
+                        paths.set(w, paths.get(w) + paths.get(v));
+                        predecessors.get(w).push(v);
+                    }
+                });
+            }
+
+            const dependency = new Map(ids.map(id => [id, 0]));
+            order.reverse().forEach(w => {
+                predecessors.get(w).forEach(v => {
+                    dependency.set(v, dependency.get(v) + paths.get(v) / paths.get(w) * (1 + dependency.get(w)));
+                });
+                if (w !== source) {
+                    betweenness.set(w, betweenness.get(w) + dependency.get(w));
+                }
+            });
+        });
+
+        // Every pair was counted from both ends
+        const pairs = (ids.length - 1) * (ids.length - 2);
+        const round = value => Math.round(value * 1000) / 1000;
+        return this.episodes
+            .map(ep => ({
+                id: ep.id,
+                title: ep.title,
+                degree: neighbors.get(ep.id).length,
+                strength: round(strength.get(ep.id)),
+                betweenness: round(pairs > 0 ? betweenness.get(ep.id) / pairs : 0)
+            }))
+            .sort((a, b) => b.betweenness - a.betweenness || b.degree - a.degree);
+    }
+
+    // Generate full-text search index JSON: passages for snippets plus an
+    // n-gram inverted index over metadata and body text for BM25 ranking
+    generateSearchIndex() {
+        const ngramIndex = SearchIndex.build(this.episodes.map(ep => ({
+            id: ep.id,
+            fields: {
+                title: ep.title,
+                themes: ep.themes,
+                keywords: ep.keywords,
+                sections: ep.sections,
+                summary: ep.summary,
+                body: ep.passages.map(p => p.text)
+            }
+        })));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totalEpisodes: this.episodes.length,
+            documents: this.episodes.map(ep => ({
+                id: ep.id,
+                passages: ep.passages
+            })),
+            index: ngramIndex.toJSON()
+        };
+    }
+
     // Extract all unique themes
     getAllThemes() {
         const allThemes = new Set();
@@ -244,48 +1036,400 @@ class EpisodeProcessor {
         return Array.from(allThemes).sort();
     }
 
+    // Group the themes that actually occur into the taxonomy categories;
+    // sub-themes follow their parent
+    getThemeCategories() {
+        const taxonomy = this.getTaxonomy();
+        const themes = taxonomy.orderThemes(this.getAllThemes());
+
+        const categories = taxonomy.categories.map(category => ({
+            id: category.id,
+            label: category.label,
+            themes: themes.filter(theme => taxonomy.getCategory(theme) === category.id)
+        })).filter(category => category.themes.length > 0);
+
+        const others = themes.filter(theme => !taxonomy.getCategory(theme));
+        if (others.length > 0) {
+            categories.push({ id: 'other', label: 'その他', themes: others });
+        }
+
+        return categories;
+    }
+
+    // Theme hierarchy and synonyms for the filter UI and query expansion
+    getTaxonomyData() {
+        const taxonomy = this.getTaxonomy();
+        const themes = this.getAllThemes();
+        const keywords = [...new Set(this.episodes.flatMap(ep => ep.keywords))];
+
+        return {
+            parents: Object.fromEntries(
+                Object.entries(taxonomy.parents).filter(([child]) => themes.includes(child))
+            ),
+            synonyms: {
+                themes: taxonomy.getSynonyms(taxonomy.themes, themes),
+                keywords: taxonomy.getSynonyms(taxonomy.keywords, keywords)
+            }
+        };
+    }
+
     // Save index to file
     saveIndex(filename = 'episodes-index.json') {
         const index = this.generateIndex();
         const outputPath = path.join(this.outputDir, filename);
         fs.writeFileSync(outputPath, JSON.stringify(index, null, 2), 'utf-8');
-        console.log(`Index saved to ${outputPath}`);
+        this.log(`Index saved to ${outputPath}`);
         
         // Also save theme list
         const themes = this.getAllThemes();
+        const categories = this.getThemeCategories();
         const themesPath = path.join(this.outputDir, 'themes.json');
-        fs.writeFileSync(themesPath, JSON.stringify({ themes }, null, 2), 'utf-8');
-        console.log(`Themes saved to ${themesPath}`);
+        fs.writeFileSync(themesPath, JSON.stringify({
+            themes,
+            categories,
+            ...this.getTaxonomyData()
+        }, null, 2), 'utf-8');
+        this.log(`Themes saved to ${themesPath}`);
+
+        // Full-text search index is kept separate so the main index stays small
+        const searchIndexPath = path.join(this.outputDir, 'search-index.json');
+        fs.writeFileSync(searchIndexPath, JSON.stringify(this.generateSearchIndex()), 'utf-8');
+        this.log(`Search index saved to ${searchIndexPath}`);
+
+        const statsPath = path.join(this.outputDir, 'stats.json');
+        fs.writeFileSync(statsPath, JSON.stringify(this.generateStats(), null, 2), 'utf-8');
+        this.log(`Stats saved to ${statsPath}`);
+
+        this.saveEpisodeContents();
         
         return index;
     }
+
+    // Save rendered episode bodies to episodes/<id>.json, loaded lazily by the app
+    saveEpisodeContents(dirname = 'episodes') {
+        const contentDir = path.join(this.outputDir, dirname);
+        fs.mkdirSync(contentDir, { recursive: true });
+
+        const expected = new Set();
+        this.episodes.forEach(ep => {
+            const { html, toc } = this.renderContent(ep.ast);
+            const filename = `${ep.id}.json`;
+            expected.add(filename);
+            this.writeIfChanged(
+                path.join(contentDir, filename),
+                JSON.stringify({ id: ep.id, title: ep.title, toc, html }, null, 2)
+            );
+        });
+
+        // Remove content of episodes that no longer exist
+        fs.readdirSync(contentDir)
+            .filter(f => f.endsWith('.json') && !expected.has(f))
+            .forEach(f => fs.unlinkSync(path.join(contentDir, f)));
+
+        this.log(`Episode contents saved to ${contentDir}`);
+    }
+
+    // Rebuild the index whenever a markdown file in sourceDir, the taxonomy or a
+    // learning path changes. Directories are watched rather than files, since
+    // editors often save by replacing the file. Returns the watchers
+    watch(onRebuild = () => {}) {
+        let timer = null;
+        let building = false;
+        let pending = false;
+
+        const rebuild = async () => {
+            if (building) {
+                pending = true;
+                return;
+            }
+            building = true;
+            const started = Date.now();
+            try {
+                await this.processAllFiles();
+                this.saveIndex();
+                this.log(`Rebuilt in ${Date.now() - started}ms\n`);
+                onRebuild();
+            } catch (error) {
+                console.error(`Rebuild failed: ${error.message}\n`);
+            }
+            building = false;
+            if (pending) {
+                pending = false;
+                rebuild();
+            }
+        };
+
+        // Directory -> which of its files trigger a rebuild
+        const targets = new Map();
+        const addTarget = (dir, matches) => {
+            const previous = targets.get(dir);
+            targets.set(dir, previous ? name => previous(name) || matches(name) : matches);
+        };
+        addTarget(path.resolve(this.sourceDir), name => name.endsWith('.md'));
+        const taxonomyName = path.basename(this.taxonomyPath);
+        addTarget(path.resolve(path.dirname(this.taxonomyPath)), name => name === taxonomyName);
+        if (fs.existsSync(this.learningPathsDir)) {
+            addTarget(path.resolve(this.learningPathsDir), name => name.endsWith('.json'));
+        }
+
+        this.log(`Watching ${[...targets.keys()].join(', ')} for changes (Ctrl+C to stop)...`);
+        return [...targets].map(([dir, matches]) => fs.watch(dir, (eventType, filename) => {
+            if (!filename || !matches(filename)) return;
+            // Editors often emit several events per save
+            clearTimeout(timer);
+            timer = setTimeout(rebuild, 200);
+        }));
+    }
+}
+
+// ===================================
+// Command-line interface
+// ===================================
+
+const USAGE = `Usage: node data-processor.js [command] [options]
+
+Commands:
+  build              Generate data files from the markdown sources (default)
+  validate           Check source files and the generated index; exits 1 on errors
+  stats              Print theme, keyword, coverage and centrality statistics
+  query <query>      Search episodes with the search bar syntax (theme:, -word, OR, ...)
+
+Options:
+  --source <dir>         Markdown source directory (default: parent directory)
+  --output <dir>         Output directory for generated data (default: ./data)
+  --threshold <0-1>      Minimum cosine similarity for related episodes (default: 0.1)
+  --max-related <n>      Maximum related episodes per episode (default: 5)
+  --taxonomy <file>      Theme and keyword taxonomy (default: ./taxonomy.json)
+  --paths <dir>          Learning path definitions (default: ./learning-paths)
+  --format <text|json>   Output format (default: text)
+  --watch                build: regenerate when a source file changes
+  --no-cache             build: re-parse every file
+  -h, --help             Show this help`;
+
+const COMMANDS = ['build', 'validate', 'stats', 'query'];
+const VALUE_OPTIONS = ['source', 'output', 'threshold', 'max-related', 'taxonomy', 'paths', 'format'];
+const FLAG_OPTIONS = ['watch', 'no-cache', 'help'];
+
+class CliError extends Error {}
+
+// Parse argv into { command, args, options }; --key value and --key=value both work
+function parseCliArgs(argv) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (FLAG_OPTIONS.includes(name)) {
+                options[name] = true;
+            } else if (VALUE_OPTIONS.includes(name)) {
+                const value = inlineValue !== undefined ? inlineValue : argv[++i];
+                if (value === undefined) throw new CliError(`Option --${name} needs a value`);
+                options[name] = value;
+            } else {
+                throw new CliError(`Unknown option: ${arg}`);
+            }
+        } else {
+            positionals.push(arg);
+        }
+    }
+
+    let command = 'build';
+    if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+        command = positionals.shift();
+    } else if (positionals.length > 0) {
+        throw new CliError(`Unknown command: ${positionals[0]}`);
+    }
+
+    return { command, args: positionals, options };
+}
+
+function createProcessorFromOptions(options) {
+    const format = options.format || 'text';
+    if (!['text', 'json'].includes(format)) {
+        throw new CliError(`--format must be "text" or "json"`);
+    }
+
+    const threshold = options.threshold !== undefined ? Number(options.threshold) : undefined;
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+        throw new CliError('--threshold must be a number between 0 and 1');
+    }
+
+    const maxRelated = options['max-related'] !== undefined ? Number(options['max-related']) : undefined;
+    if (maxRelated !== undefined && !(Number.isInteger(maxRelated) && maxRelated >= 0)) {
+        throw new CliError('--max-related must be a non-negative integer');
+    }
+
+    const sourceDir = path.resolve(options.source || path.join(__dirname, '..'));
+    const outputDir = path.resolve(options.output || path.join(__dirname, 'data'));
+    if (!fs.existsSync(sourceDir)) {
+        throw new CliError(`Source directory not found: ${sourceDir}`);
+    }
+    const taxonomyPath = options.taxonomy ? path.resolve(options.taxonomy) : undefined;
+    if (taxonomyPath && !fs.existsSync(taxonomyPath)) {
+        throw new CliError(`Taxonomy file not found: ${taxonomyPath}`);
+    }
+    const learningPathsDir = options.paths ? path.resolve(options.paths) : undefined;
+    if (learningPathsDir && !fs.existsSync(learningPathsDir)) {
+        throw new CliError(`Learning path directory not found: ${learningPathsDir}`);
+    }
+
+    return new EpisodeProcessor(sourceDir, outputDir, {
+        similarityThreshold: threshold,
+        maxRelated,
+        taxonomyPath,
+        learningPathsDir,
+        cache: !options['no-cache'],
+        // Keep stdout clean for JSON output
+        logger: format === 'json' ? console.error : console.log
+    });
+}
+
+function countBy(episodes, field) {
+    const counts = {};
+    episodes.forEach(ep => {
+        ep[field].forEach(value => {
+            counts[value] = (counts[value] || 0) + 1;
+        });
+    });
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, count]) => ({ name, count }));
+}
+
+async function runCli(argv) {
+    const { command, args, options } = parseCliArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const processor = createProcessorFromOptions(options);
+    const json = options.format === 'json';
+    const print = data => console.log(JSON.stringify(data, null, 2));
+
+    switch (command) {
+        case 'validate': {
+            const result = await processor.validate();
+            if (json) {
+                print(result);
+            } else {
+                processor.printValidationReport(result);
+            }
+            return result.errors > 0 ? 1 : 0;
+        }
+
+        case 'stats': {
+            await processor.processAllFiles();
+            const themes = countBy(processor.episodes, 'themes');
+            const keywords = countBy(processor.episodes, 'keywords');
+            const { gaps, centralEpisodes } = processor.generateStats();
+            const stats = {
+                totalEpisodes: processor.episodes.length,
+                totalThemes: themes.length,
+                themes,
+                keywords,
+                coverageGaps: gaps,
+                centralEpisodes,
+                episodesWithoutSummary: processor.episodes.filter(ep => !ep.summary).map(ep => ep.id)
+            };
+            if (json) {
+                print(stats);
+            } else {
+                console.log(`\nEpisodes: ${stats.totalEpisodes}`);
+                console.log(`Themes: ${stats.totalThemes}\n`);
+                themes.forEach(({ name, count }) => console.log(`  ${String(count).padStart(4)}  ${name}`));
+                console.log('\nTop Keywords:');
+                keywords.slice(0, 15).forEach(({ name, count }) => console.log(`  ${String(count).padStart(4)}  ${name}`));
+                if (gaps.length > 0) {
+                    console.log(`\nCoverage gaps (${STATS_GAP_MAX_EPISODES} episode or fewer):`);
+                    gaps.forEach(({ name, count }) => console.log(`  ${String(count).padStart(4)}  ${name}`));
+                }
+                console.log('\nMost central episodes:');
+                centralEpisodes.slice(0, 5).forEach(ep => {
+                    console.log(`  EP ${ep.id.padEnd(8)} ${ep.betweenness.toFixed(3)}  ${ep.title}`);
+                });
+                if (stats.episodesWithoutSummary.length > 0) {
+                    console.log(`\nWithout summary: ${stats.episodesWithoutSummary.join(', ')}`);
+                }
+            }
+            return 0;
+        }
+
+        case 'query': {
+            const query = args.join(' ');
+            if (!query) throw new CliError('query needs a search string, e.g. query "theme:起業 -うつ"');
+
+            await processor.processAllFiles();
+            const { index } = processor.generateSearchIndex();
+            const episodesById = new Map(processor.episodes.map(ep => [ep.id, ep]));
+            const searchText = ep => SearchCore.normalizeText([
+                ep.title, ep.summary, ...ep.themes, ...ep.keywords, ...ep.sections,
+                ...ep.passages.map(p => p.text)
+            ].join('\n'));
+
+            const results = SearchCore.executeQuery(SearchCore.parseQuery(query), {
+                episodes: processor.episodes,
+                index: SearchIndex.fromJSON(index),
+                getText: searchText,
+                expandTerm: SearchCore.createTermExpander(processor.getTaxonomyData())
+            }).map(({ id, score }) => {
+                const ep = episodesById.get(id);
+                return { id, title: ep.title, score: Math.round(score * 100) / 100, themes: ep.themes };
+            });
+
+            if (json) {
+                print(results);
+            } else {
+                console.log(`\n${results.length} episodes match "${query}"\n`);
+                results.forEach(r => console.log(`  EP ${r.id.padEnd(8)} ${r.score.toFixed(2).padStart(6)}  ${r.title}`));
+            }
+            return 0;
+        }
+
+        default: {
+            await processor.processAllFiles();
+            const index = processor.saveIndex();
+            const themes = countBy(processor.episodes, 'themes');
+
+            if (json) {
+                print({ totalEpisodes: index.totalEpisodes, totalThemes: themes.length, topThemes: themes.slice(0, 10) });
+            } else {
+                console.log('\n=== Processing Complete ===');
+                console.log(`Total Episodes: ${index.totalEpisodes}`);
+                console.log(`Total Themes: ${themes.length}`);
+                console.log('\nTop Themes:');
+                themes.slice(0, 10).forEach(({ name, count }) => {
+                    console.log(`  ${name}: ${count} episodes`);
+                });
+            }
+
+            if (options.watch) {
+                processor.log('');
+                processor.watch();
+            }
+            return 0;
+        }
+    }
 }
 
 // Run if called directly
 if (require.main === module) {
-    const sourceDir = path.join(__dirname, '..');
-    const outputDir = path.join(__dirname, 'data');
-    
-    const processor = new EpisodeProcessor(sourceDir, outputDir);
-    processor.processAllFiles().then(() => {
-        const index = processor.saveIndex();
-        console.log('\n=== Processing Complete ===');
-        console.log(`Total Episodes: ${index.totalEpisodes}`);
-        console.log(`Total Themes: ${processor.getAllThemes().length}`);
-        console.log('\nTop Themes:');
-        const themeCounts = {};
-        processor.episodes.forEach(ep => {
-            ep.themes.forEach(theme => {
-                themeCounts[theme] = (themeCounts[theme] || 0) + 1;
-            });
+    runCli(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            if (error instanceof CliError) {
+                console.error(`Error: ${error.message}\n\n${USAGE}`);
+            } else {
+                console.error(error);
+            }
+            process.exitCode = 1;
         });
-        Object.entries(themeCounts)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10)
-            .forEach(([theme, count]) => {
-                console.log(`  ${theme}: ${count} episodes`);
-            });
-    });
 }
 
 module.exports = EpisodeProcessor;
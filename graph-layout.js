@@ -0,0 +1,96 @@
+/**
+ * Knowledge Graph Layout for Advanced Therapist Knowledge Platform
+ * Deterministic force-directed (Fruchterman-Reingold) layout, computed by
+ * data-processor.js so the browser can draw the graph without physics
+ */
+
+// Distance between unrelated neighbors, in vis.js canvas units
+const NODE_SPACING = 150;
+const ITERATIONS = 300;
+// Pull toward the center so disconnected episodes stay near the rest
+const GRAVITY = 0.05;
+
+/**
+ * nodes: [id], edges: [{ from, to, weight (0-1) }]
+ * Returns { [id]: { x, y } } with integer coordinates centered on 0.
+ * Starts from a circle in node order, so the same input gives the same layout.
+ */
+function computeLayout(nodes, edges) {
+    const count = nodes.length;
+    const indexById = new Map(nodes.map((id, i) => [id, i]));
+    const radius = NODE_SPACING * Math.sqrt(count) / 2;
+    const x = new Float64Array(count);
+    const y = new Float64Array(count);
+    nodes.forEach((id, i) => {
+        const angle = 2 * Math.PI * i / Math.max(count, 1);
+        x[i] = radius * Math.cos(angle);
+        y[i] = radius * Math.sin(angle);
+    });
+
+    const links = edges
+        .filter(edge => indexById.has(edge.from) && indexById.has(edge.to))
+        .map(edge => [indexById.get(edge.from), indexById.get(edge.to), edge.weight]);
+
+    const k = NODE_SPACING;
+    const dx = new Float64Array(count);
+    const dy = new Float64Array(count);
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+        // Linear cooling from a tenth of the spread down to nothing
+        const temperature = (radius / 10 + k) * (1 - iteration / ITERATIONS);
+        dx.fill(0);
+        dy.fill(0);
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                let ddx = x[i] - x[j];
+                let ddy = y[i] - y[j];
+                let distance = Math.hypot(ddx, ddy);
+                if (distance < 0.01) {
+                    // Coincident nodes: separate along a fixed direction
+                    ddx = 0.01 * (i - j);
+                    ddy = 0.01;
+                    distance = Math.hypot(ddx, ddy);
+                }
+                const force = k * k / distance;
+                dx[i] += ddx / distance * force;
+                dy[i] += ddy / distance * force;
+                dx[j] -= ddx / distance * force;
+                dy[j] -= ddy / distance * force;
+            }
+        }
+
+        // Stronger relations pull harder
+        links.forEach(([a, b, weight]) => {
+            const ddx = x[a] - x[b];
+            const ddy = y[a] - y[b];
+            const distance = Math.hypot(ddx, ddy) || 0.01;
+            const force = distance * distance / k * (0.5 + weight);
+            dx[a] -= ddx / distance * force;
+            dy[a] -= ddy / distance * force;
+            dx[b] += ddx / distance * force;
+            dy[b] += ddy / distance * force;
+        });
+
+        for (let i = 0; i < count; i++) {
+            dx[i] -= GRAVITY * x[i];
+            dy[i] -= GRAVITY * y[i];
+            const length = Math.hypot(dx[i], dy[i]);
+            if (length > 0) {
+                const step = Math.min(length, temperature);
+                x[i] += dx[i] / length * step;
+                y[i] += dy[i] / length * step;
+            }
+        }
+    }
+
+    const centerX = count > 0 ? x.reduce((sum, value) => sum + value, 0) / count : 0;
+    const centerY = count > 0 ? y.reduce((sum, value) => sum + value, 0) / count : 0;
+    return Object.fromEntries(nodes.map((id, i) => [id, {
+        x: Math.round(x[i] - centerX),
+        y: Math.round(y[i] - centerY)
+    }]));
+}
+
+module.exports = {
+    computeLayout
+};
@@ -0,0 +1,449 @@
+/**
+ * Markdown Parser for Advanced Therapist Knowledge Platform
+ * Parses YAML front matter and markdown into a small AST (mdast-like)
+ * and renders it to HTML
+ */
+
+// ===================================
+// Front matter (YAML subset)
+// ===================================
+
+const FRONT_MATTER_PATTERN = /^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Remove a trailing "# comment" that is not inside quotes
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+function splitInlineList(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+            current += ch;
+        } else if (ch === '"' || ch === '\'') {
+            quote = ch;
+            current += ch;
+        } else if (ch === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) items.push(current);
+    return items.map(item => parseScalar(item.trim()));
+}
+
+function parseScalar(text) {
+    const value = text.trim();
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+        return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n').replace(/\\\\/g, '\\');
+    }
+    if (value.startsWith('\'') && value.endsWith('\'') && value.length >= 2) {
+        return value.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return splitInlineList(value.slice(1, -1));
+    }
+    return value;
+}
+
+const isSequenceItem = content => content === '-' || content.startsWith('- ');
+// Keys may be quoted so that they can contain ":" ("Part 1: Intro": 1:00)
+const QUOTED_KEY = `"(?:[^"\\\\]|\\\\.)*"|'(?:[^']|'')*'`;
+const MAPPING_LINE_PATTERN = new RegExp(`^(${QUOTED_KEY}|[^:]+?)\\s*:(?:\\s+(.*))?$`);
+const INLINE_MAPPING_PATTERN = new RegExp(`^(?:${QUOTED_KEY}|[^"'[{][^:]*)\\s*:(\\s|$)`);
+
+/**
+ * Parse the YAML subset used in episode front matter: nested mappings,
+ * block sequences (of scalars or mappings), inline [a, b] lists and scalars.
+ */
+function parseYaml(text) {
+    const lines = text.split(/\r?\n/)
+        .map(raw => ({
+            indent: raw.match(/^ */)[0].length,
+            content: stripComment(raw).trim()
+        }))
+        .filter(line => line.content.length > 0);
+    let pos = 0;
+
+    function parseMapping(indent) {
+        const result = {};
+        while (pos < lines.length && lines[pos].indent === indent && !isSequenceItem(lines[pos].content)) {
+            const match = lines[pos].content.match(MAPPING_LINE_PATTERN);
+            if (!match) {
+                throw new Error(`Invalid front matter line: "${lines[pos].content}"`);
+            }
+            pos++;
+
+            const rawKey = match[1].trim();
+            const key = /^["']/.test(rawKey) ? parseScalar(rawKey) : rawKey;
+            const rest = match[2];
+            if (rest !== undefined && rest !== '') {
+                result[key] = parseScalar(rest);
+            } else if (pos < lines.length && lines[pos].indent > indent) {
+                result[key] = parseBlock(lines[pos].indent);
+            } else if (pos < lines.length && lines[pos].indent === indent && isSequenceItem(lines[pos].content)) {
+                // "key:\n- item" with the list at the same indentation
+                result[key] = parseSequence(indent);
+            } else {
+                result[key] = null;
+            }
+        }
+        return result;
+    }
+
+    function parseSequence(indent) {
+        const result = [];
+        while (pos < lines.length && lines[pos].indent === indent && isSequenceItem(lines[pos].content)) {
+            const itemText = lines[pos].content.replace(/^-\s*/, '');
+
+            if (!itemText) {
+                pos++;
+                const nested = pos < lines.length && lines[pos].indent > indent;
+                result.push(nested ? parseBlock(lines[pos].indent) : null);
+            } else if (INLINE_MAPPING_PATTERN.test(itemText)) {
+                // "- key: value" opens a mapping whose other keys align with "key"
+                const itemIndent = indent + (lines[pos].content.length - itemText.length);
+                lines[pos] = { indent: itemIndent, content: itemText };
+                result.push(parseMapping(itemIndent));
+            } else {
+                pos++;
+                result.push(parseScalar(itemText));
+            }
+        }
+        return result;
+    }
+
+    function parseBlock(indent) {
+        return isSequenceItem(lines[pos].content) ? parseSequence(indent) : parseMapping(indent);
+    }
+
+    if (lines.length === 0) return {};
+    const data = parseBlock(lines[0].indent);
+    if (pos < lines.length) {
+        throw new Error(`Unexpected indentation in front matter: "${lines[pos].content}"`);
+    }
+    return data;
+}
+
+// Split "---\nyaml\n---\nbody" into { data, body }
+function parseFrontMatter(source) {
+    const match = source.match(FRONT_MATTER_PATTERN);
+    if (!match) {
+        return { data: {}, body: source.replace(/^﻿/, '') };
+    }
+    const data = parseYaml(match[1]);
+    return {
+        data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+        body: source.slice(match[0].length)
+    };
+}
+
+// ===================================
+// Markdown blocks and inlines
+// ===================================
+
+const INLINE_PATTERN = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|__(.+?)__|\*(.+?)\*/;
+
+function parseInline(text) {
+    const nodes = [];
+    let rest = text;
+
+    const pushText = value => {
+        const last = nodes[nodes.length - 1];
+        if (last && last.type === 'text') {
+            last.value += value;
+        } else {
+            nodes.push({ type: 'text', value });
+        }
+    };
+
+    while (rest) {
+        const match = rest.match(INLINE_PATTERN);
+        if (!match) {
+            pushText(rest);
+            break;
+        }
+        if (match.index > 0) pushText(rest.slice(0, match.index));
+
+        if (match[1] !== undefined) {
+            nodes.push({ type: 'inlineCode', value: match[1] });
+        } else if (match[2] !== undefined) {
+            nodes.push({ type: 'link', url: match[3], children: parseInline(match[2]) });
+        } else if (match[4] !== undefined || match[5] !== undefined) {
+            nodes.push({ type: 'strong', children: parseInline(match[4] ?? match[5]) });
+        } else {
+            nodes.push({ type: 'emphasis', children: parseInline(match[6]) });
+        }
+        rest = rest.slice(match.index + match[0].length);
+    }
+
+    return nodes;
+}
+
+// Paragraph lines are kept apart with break nodes (transcripts are line-based)
+function parseInlineLines(lines) {
+    return lines.flatMap((line, i) =>
+        i === 0 ? parseInline(line) : [{ type: 'break' }, ...parseInline(line)]
+    );
+}
+
+// As in CommonMark, the hashes need a space after them ("#理学療法 #PT" is a hashtag line)
+const HEADING_PATTERN = /^(#{1,6})(?:\s+(.*))?$/;
+const FENCE_PATTERN = /^(```|~~~)\s*(\S*)/;
+const THEMATIC_BREAK_PATTERN = /^(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+const indentOf = line => line.match(/^\s*/)[0].length;
+
+function startsBlock(line) {
+    const trimmed = line.trim();
+    return HEADING_PATTERN.test(trimmed) ||
+        FENCE_PATTERN.test(trimmed) ||
+        THEMATIC_BREAK_PATTERN.test(trimmed) ||
+        trimmed.startsWith('>') ||
+        LIST_ITEM_PATTERN.test(line);
+}
+
+function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM_PATTERN);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = {
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(first[2], 10) : null,
+        children: []
+    };
+
+    let i = start;
+    while (i < lines.length) {
+        const marker = lines[i].match(LIST_ITEM_PATTERN);
+        if (!marker || marker[1].length !== baseIndent || /\d/.test(marker[2]) !== ordered) break;
+
+        const itemLines = [marker[3]];
+        i++;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                // A blank line continues the item only if indented content follows
+                const next = lines.slice(i + 1).find(l => l.trim());
+                if (next && indentOf(next) > baseIndent) {
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            if (indentOf(line) > baseIndent) {
+                itemLines.push(line.slice(Math.min(indentOf(line), baseIndent + 2)));
+            } else if (!startsBlock(line)) {
+                itemLines.push(line.trim()); // lazy continuation
+            } else {
+                break;
+            }
+            i++;
+        }
+
+        list.children.push({ type: 'listItem', children: parseBlocks(itemLines) });
+
+        // Skip blank lines between items of the same list
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const nextMarker = next < lines.length && lines[next].match(LIST_ITEM_PATTERN);
+        if (nextMarker && nextMarker[1].length === baseIndent) {
+            i = next;
+        }
+    }
+
+    return { node: list, next: i };
+}
+
+function parseBlocks(lines) {
+    const nodes = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        let match;
+
+        if (!trimmed) {
+            i++;
+        } else if ((match = trimmed.match(FENCE_PATTERN))) {
+            const fence = match[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            nodes.push({ type: 'code', lang: match[2] || null, value: code.join('\n') });
+        } else if ((match = trimmed.match(HEADING_PATTERN))) {
+            const text = (match[2] || '').replace(/(^|\s+)#+\s*$/, '').trim();
+            nodes.push({ type: 'heading', depth: match[1].length, children: parseInline(text) });
+            i++;
+        } else if (THEMATIC_BREAK_PATTERN.test(trimmed)) {
+            nodes.push({ type: 'thematicBreak' });
+            i++;
+        } else if (trimmed.startsWith('>')) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+                i++;
+            }
+            nodes.push({ type: 'blockquote', children: parseBlocks(quoted) });
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            const { node, next } = parseList(lines, i);
+            nodes.push(node);
+            i = next;
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            nodes.push({ type: 'paragraph', children: parseInlineLines(paragraph) });
+        }
+    }
+
+    return nodes;
+}
+
+function parseMarkdown(source) {
+    const ast = { type: 'root', children: parseBlocks(source.split(/\r?\n/)) };
+    assignHeadingIds(ast);
+    return ast;
+}
+
+// ===================================
+// AST helpers
+// ===================================
+
+function visit(node, callback) {
+    callback(node);
+    (node.children || []).forEach(child => visit(child, callback));
+}
+
+// Give every heading a stable id (section-1, section-2, ...) in document order
+function assignHeadingIds(ast) {
+    let count = 0;
+    visit(ast, node => {
+        if (node.type === 'heading') {
+            count++;
+            node.id = `section-${count}`;
+        }
+    });
+}
+
+function toPlainText(node) {
+    if (node.type === 'text' || node.type === 'inlineCode' || node.type === 'code') return node.value;
+    if (node.type === 'break') return ' ';
+    const separator = ['root', 'blockquote', 'list', 'listItem'].includes(node.type) ? '\n' : '';
+    return (node.children || []).map(toPlainText).join(separator);
+}
+
+// Strip heading decorations: leftover "#", "◆" style markers and "1. " / "２．"
+// numbering (not when a digit follows, so "3.11の記憶" keeps its number)
+function cleanHeadingText(text) {
+    let cleaned = String(text).trim();
+    let previous;
+    do {
+        previous = cleaned;
+        cleaned = cleaned
+            .replace(/^#+\s*/, '')
+            .replace(/^[◆◇■□●○▶▸・]\s*/, '')
+            .replace(/^[0-9０-９]+(?:[.)．、]\s+|[．、](?![0-9０-９]))/, '')
+            .trim();
+    } while (cleaned !== previous);
+    return cleaned;
+}
+
+// ===================================
+// HTML rendering
+// ===================================
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|\/|\.{0,2}\/|#)/i;
+
+function renderHtml(node) {
+    const children = () => (node.children || []).map(renderHtml).join('');
+
+    switch (node.type) {
+        case 'root':
+            return node.children.map(renderHtml).join('\n');
+        case 'heading':
+            return `<h${node.depth} id="${node.id}">${children()}</h${node.depth}>`;
+        case 'paragraph':
+            return `<p>${children()}</p>`;
+        case 'blockquote':
+            return `<blockquote>${children()}</blockquote>`;
+        case 'list': {
+            const tag = node.ordered ? 'ol' : 'ul';
+            const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+            return `<${tag}${start}>${children()}</${tag}>`;
+        }
+        case 'listItem': {
+            // Tight items render their single paragraph inline
+            const only = node.children.length === 1 && node.children[0].type === 'paragraph';
+            return `<li>${only ? node.children[0].children.map(renderHtml).join('') : children()}</li>`;
+        }
+        case 'code':
+            return `<pre><code>${escapeHtml(node.value)}</code></pre>`;
+        case 'thematicBreak':
+            return '<hr>';
+        case 'text':
+            return escapeHtml(node.value);
+        case 'break':
+            return '<br>';
+        case 'inlineCode':
+            return `<code>${escapeHtml(node.value)}</code>`;
+        case 'strong':
+            return `<strong>${children()}</strong>`;
+        case 'emphasis':
+            return `<em>${children()}</em>`;
+        case 'link':
+            return SAFE_URL_PATTERN.test(node.url)
+                ? `<a href="${escapeHtml(node.url)}" target="_blank" rel="noopener">${children()}</a>`
+                : children();
+        default:
+            return children();
+    }
+}
+
+module.exports = {
+    parseFrontMatter,
+    parseYaml,
+    parseMarkdown,
+    visit,
+    toPlainText,
+    cleanHeadingText,
+    renderHtml
+};
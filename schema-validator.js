@@ -0,0 +1,132 @@
+/**
+ * Schema Validator for Advanced Therapist Knowledge Platform
+ * Minimal JSON Schema (draft-07 subset) validation
+ * Shared by data-processor.js (Node) and app.js (browser)
+ *
+ * Supported keywords: type, enum, required, properties, additionalProperties,
+ * items, minItems, uniqueItems, minLength, pattern, minimum, maximum,
+ * anyOf, $ref (local "#/definitions/..." only)
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchemaValidator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    function resolveRef(rootSchema, ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref: ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+    }
+
+    function validateNode(schema, value, path, rootSchema, errors) {
+        if (schema.$ref) {
+            validateNode(resolveRef(rootSchema, schema.$ref), value, path, rootSchema, errors);
+            return;
+        }
+
+        if (schema.anyOf) {
+            const matched = schema.anyOf.some(option => {
+                const optionErrors = [];
+                validateNode(option, value, path, rootSchema, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matched) {
+                errors.push({ path, message: 'does not match any allowed form' });
+            }
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                errors.push({ path, message: `does not match pattern ${schema.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be >= ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must have at least ${schema.minItems} items` });
+            }
+            if (schema.uniqueItems) {
+                const seen = new Set(value.map(item => JSON.stringify(item)));
+                if (seen.size !== value.length) {
+                    errors.push({ path, message: 'items must be unique' });
+                }
+            }
+            if (schema.items) {
+                value.forEach((item, i) => {
+                    validateNode(schema.items, item, `${path}[${i}]`, rootSchema, errors);
+                });
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path, message: `missing required property "${key}"` });
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (properties[key]) {
+                    validateNode(properties[key], value[key], childPath, rootSchema, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'unknown property' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    validateNode(schema.additionalProperties, value[key], childPath, rootSchema, errors);
+                }
+            });
+        }
+    }
+
+    // Returns [{ path, message }]; an empty array means the data is valid
+    function validate(schema, data) {
+        const errors = [];
+        validateNode(schema, data, '', schema, errors);
+        return errors;
+    }
+
+    return { validate };
+});
@@ -0,0 +1,409 @@
+/**
+ * Search Core for Advanced Therapist Knowledge Platform
+ * Japanese-aware normalization, n-gram tokenization and BM25 ranking
+ * Shared by data-processor.js (Node) and app.js (browser)
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SearchCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Field weights used when scoring (title hits count more than body hits)
+    const DEFAULT_FIELD_WEIGHTS = {
+        title: 3,
+        themes: 2,
+        keywords: 2,
+        sections: 2,
+        summary: 1.5,
+        body: 1
+    };
+
+    // Runs of Japanese script or of Latin letters/digits
+    const TOKEN_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々〆]+|[a-z0-9]+/gu;
+    const LATIN_RUN_PATTERN = /^[a-z0-9]+$/;
+
+    // Normalize a single code point: width (NFKC), katakana -> hiragana, case
+    function normalizeChar(ch) {
+        return Array.from(ch.normalize('NFKC')).map(c => {
+            const code = c.codePointAt(0);
+            if (code >= 0x30A1 && code <= 0x30F6) {
+                return String.fromCodePoint(code - 0x60);
+            }
+            return c.toLowerCase();
+        }).join('');
+    }
+
+    // Normalize text and keep, for every output character, its index in the input
+    function normalizeWithOffsets(text) {
+        let normalized = '';
+        const offsets = [];
+        let index = 0;
+
+        for (const ch of String(text)) {
+            const converted = normalizeChar(ch);
+
+            // Half-width (semi-)voiced sound marks combine with the previous kana
+            if ((converted === '゙' || converted === '゚') && normalized.length > 0) {
+                const combined = (normalized[normalized.length - 1] + converted).normalize('NFC');
+                if (combined.length === 1) {
+                    normalized = normalized.slice(0, -1) + combined;
+                    index += ch.length;
+                    continue;
+                }
+            }
+
+            for (const c of converted) {
+                normalized += c;
+                for (let i = 0; i < c.length; i++) offsets.push(index);
+            }
+            index += ch.length;
+        }
+
+        return { text: normalized, offsets };
+    }
+
+    function normalizeText(text) {
+        return normalizeWithOffsets(text).text;
+    }
+
+    // Bigrams and trigrams for Japanese runs, whole words for Latin runs
+    function ngrams(run, sizes = [2, 3]) {
+        if (LATIN_RUN_PATTERN.test(run)) return [run];
+
+        const chars = Array.from(run);
+        if (chars.length === 1) return [run];
+
+        const grams = [];
+        for (const n of sizes) {
+            for (let i = 0; i + n <= chars.length; i++) {
+                grams.push(chars.slice(i, i + n).join(''));
+            }
+        }
+        return grams;
+    }
+
+    function tokenize(text, sizes) {
+        const runs = normalizeText(text).match(TOKEN_RUN_PATTERN) || [];
+        return runs.flatMap(run => ngrams(run, sizes));
+    }
+
+    /**
+     * Inverted n-gram index with BM25 scoring.
+     * Postings are stored as flat [docIndex, weightedTf, ...] arrays so the
+     * serialized index stays compact.
+     */
+    class SearchIndex {
+        constructor(data) {
+            this.docIds = data.docIds;
+            this.docLengths = data.docLengths;
+            this.avgDocLength = data.avgDocLength;
+            this.postings = data.postings;
+            this.terms = null;
+        }
+
+        // documents: [{ id, fields: { title: '...', body: '...' } }]
+        static build(documents, fieldWeights = DEFAULT_FIELD_WEIGHTS) {
+            const docIds = [];
+            const docLengths = [];
+            const postings = {};
+
+            documents.forEach((doc, docIndex) => {
+                const frequencies = new Map();
+                let length = 0;
+
+                Object.entries(doc.fields).forEach(([field, value]) => {
+                    const weight = fieldWeights[field] || 1;
+                    const text = Array.isArray(value) ? value.join('\n') : (value || '');
+                    tokenize(text).forEach(token => {
+                        frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                        length += weight;
+                    });
+                });
+
+                frequencies.forEach((tf, token) => {
+                    if (!postings[token]) postings[token] = [];
+                    postings[token].push(docIndex, Math.round(tf * 10) / 10);
+                });
+
+                docIds.push(doc.id);
+                docLengths.push(length);
+            });
+
+            const totalLength = docLengths.reduce((sum, len) => sum + len, 0);
+            return new SearchIndex({
+                docIds,
+                docLengths,
+                avgDocLength: docIds.length > 0 ? totalLength / docIds.length : 0,
+                postings
+            });
+        }
+
+        static fromJSON(data) {
+            return new SearchIndex(data);
+        }
+
+        toJSON() {
+            return {
+                docIds: this.docIds,
+                docLengths: this.docLengths,
+                avgDocLength: this.avgDocLength,
+                postings: this.postings
+            };
+        }
+
+        // Single characters are not indexed on their own, so expand them to the
+        // bigrams that contain them
+        expandToken(token) {
+            if (this.postings[token] || Array.from(token).length > 1) return [token];
+            if (!this.terms) this.terms = Object.keys(this.postings);
+            return this.terms.filter(term => Array.from(term).length === 2 && term.includes(token));
+        }
+
+        // Returns [{ id, score }] sorted by BM25 score. Each whitespace-separated
+        // query word must have at least `minShouldMatch` of its bigrams present;
+        // trigrams only add to the score.
+        search(query, { k1 = 1.2, b = 0.75, minShouldMatch = 0.75 } = {}) {
+            const words = String(query).split(/\s+/).filter(w => w.length > 0);
+            const total = this.docIds.length;
+            const scores = new Map();
+            const required = [];
+
+            words.forEach(word => {
+                const grams = [...new Set(tokenize(word))];
+                const keyGrams = new Set(tokenize(word, [2]));
+                const coverage = new Map();
+
+                grams.forEach(gram => {
+                    const seen = new Set();
+                    this.expandToken(gram).forEach(term => {
+                        const list = this.postings[term] || [];
+                        const df = list.length / 2;
+                        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+
+                        for (let i = 0; i < list.length; i += 2) {
+                            const docIndex = list[i];
+                            const tf = list[i + 1];
+                            const norm = 1 - b + b * (this.docLengths[docIndex] / (this.avgDocLength || 1));
+                            const score = idf * (tf * (k1 + 1)) / (tf + k1 * norm);
+                            scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+                            seen.add(docIndex);
+                        }
+                    });
+                    if (keyGrams.has(gram)) {
+                        seen.forEach(docIndex => coverage.set(docIndex, (coverage.get(docIndex) || 0) + 1));
+                    }
+                });
+
+                if (keyGrams.size > 0) {
+                    // Short words must match exactly; longer ones may miss a gram or two
+                    const needed = keyGrams.size <= 2
+                        ? keyGrams.size
+                        : Math.ceil(keyGrams.size * minShouldMatch);
+                    required.push({ coverage, needed });
+                }
+            });
+
+            if (required.length === 0) return [];
+
+            const results = [];
+            scores.forEach((score, docIndex) => {
+                const satisfied = required.every(({ coverage, needed }) =>
+                    (coverage.get(docIndex) || 0) >= needed
+                );
+                if (satisfied) {
+                    results.push({ id: this.docIds[docIndex], score });
+                }
+            });
+
+            return results.sort((a, b) => b.score - a.score);
+        }
+    }
+
+    // Field prefixes accepted in the query syntax (e.g. theme:認知症)
+    const QUERY_FIELDS = {
+        theme: 'theme',
+        t: 'theme',
+        keyword: 'keyword',
+        kw: 'keyword',
+        ep: 'ep',
+        episode: 'ep'
+    };
+
+    // [-][field:]("phrase" | “phrase” | 「phrase」 | word)
+    const QUERY_TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|“([^”]*)”?|「([^」]*)」?|(\S+))/giu;
+
+    /**
+     * Parse the search bar syntax into OR-separated groups of AND-ed clauses.
+     * Clause: { field: 'text'|'theme'|'keyword'|'ep', value, phrase, negated }
+     * Example: theme:起業 theme:メンタルヘルス -うつ OR "理学療法の歴史"
+     */
+    function parseQuery(query) {
+        const groups = [[]];
+        const source = String(query).normalize('NFKC');
+
+        for (const match of source.matchAll(QUERY_TOKEN_PATTERN)) {
+            const [, minus, rawField, quoted, curly, bracket, word] = match;
+            const phraseValue = quoted ?? curly ?? bracket;
+            const negated = Boolean(minus);
+
+            if (!negated && !rawField && word === 'OR') {
+                if (groups[groups.length - 1].length > 0) groups.push([]);
+                continue;
+            }
+
+            let field = 'text';
+            let value = (phraseValue ?? word ?? '').trim();
+            if (rawField) {
+                field = QUERY_FIELDS[rawField.toLowerCase()];
+                if (!field) {
+                    // Unknown prefix (e.g. a URL) is plain text
+                    field = 'text';
+                    value = `${rawField}:${value}`;
+                }
+            }
+            if (!value) continue;
+
+            groups[groups.length - 1].push({
+                field,
+                value,
+                phrase: phraseValue !== undefined,
+                negated
+            });
+        }
+
+        return { groups: groups.filter(group => group.length > 0) };
+    }
+
+    // Normalized positive text terms and phrases, for highlighting
+    function getHighlightTerms(parsedQuery) {
+        const terms = new Set();
+        parsedQuery.groups.forEach(group => {
+            group.forEach(clause => {
+                if (clause.field !== 'text' || clause.negated) return;
+                const value = normalizeText(clause.value);
+                const parts = clause.phrase ? [value] : value.split(/\s+/);
+                parts.filter(part => part.length > 0).forEach(part => terms.add(part));
+            });
+        });
+        return [...terms];
+    }
+
+    /**
+     * Build an expandTerm(field, value) function from taxonomy data
+     * ({ parents: { child: parent }, synonyms: { themes: {...}, keywords: {...} } }).
+     * A synonym resolves to its canonical name, and a theme also matches its
+     * sub-themes, so theme:メンタルヘルス finds episodes tagged うつ.
+     */
+    function createTermExpander({ parents = {}, synonyms = {} } = {}) {
+        const lookups = {};
+        [['theme', synonyms.themes || {}], ['keyword', synonyms.keywords || {}]].forEach(([field, lists]) => {
+            const lookup = new Map();
+            Object.entries(lists).forEach(([name, forms]) => {
+                forms.forEach(form => lookup.set(normalizeText(form), name));
+            });
+            lookups[field] = lookup;
+        });
+
+        const children = new Map();
+        Object.entries(parents).forEach(([child, parent]) => {
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(child);
+        });
+        const withDescendants = name => [name, ...(children.get(name) || []).flatMap(withDescendants)];
+
+        return (field, value) => {
+            const lookup = lookups[field];
+            if (!lookup) return [value];
+            const canonical = lookup.get(normalizeText(value)) || value;
+            return field === 'theme' ? withDescendants(canonical) : [canonical];
+        };
+    }
+
+    function matchesField(episode, clause, expandTerm) {
+        const values = (expandTerm ? expandTerm(clause.field, clause.value) : [clause.value])
+            .map(normalizeText);
+        const matchesAny = list => list.some(item => {
+            const normalized = normalizeText(item);
+            return values.some(value => normalized.includes(value));
+        });
+        switch (clause.field) {
+            case 'theme':
+                return matchesAny(episode.themes);
+            case 'keyword':
+                return matchesAny(episode.keywords);
+            case 'ep':
+                // ep:7 matches every part of series 7
+                return episode.id === clause.value || episode.id.startsWith(`${clause.value}-`);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Evaluate a parsed query against episodes.
+     * index: SearchIndex used to rank free-text words with BM25
+     * getText: episode -> normalized searchable text, for phrases and exclusions
+     * expandTerm: optional (field, value) -> values, see createTermExpander
+     * Returns [{ id, score }] in score order (ties keep episode order).
+     */
+    function executeQuery(parsedQuery, { episodes, index, getText, expandTerm }) {
+        const best = new Map();
+
+        parsedQuery.groups.forEach(group => {
+            const words = group
+                .filter(c => c.field === 'text' && !c.negated)
+                .map(c => c.value);
+
+            let candidates;
+            if (words.length > 0) {
+                candidates = new Map(index.search(words.join(' ')).map(r => [r.id, r.score]));
+            } else {
+                candidates = new Map(episodes.map(ep => [ep.id, 0]));
+            }
+
+            episodes.forEach(episode => {
+                if (!candidates.has(episode.id)) return;
+
+                const accepted = group.every(clause => {
+                    let matched;
+                    if (clause.field === 'text') {
+                        // Ranked words are already matched; phrases additionally
+                        // need the literal text, as do exclusions
+                        if (!clause.phrase && !clause.negated) return true;
+                        matched = getText(episode).includes(normalizeText(clause.value));
+                    } else {
+                        matched = matchesField(episode, clause, expandTerm);
+                    }
+                    return clause.negated ? !matched : matched;
+                });
+
+                if (accepted) {
+                    const score = candidates.get(episode.id);
+                    if (!best.has(episode.id) || best.get(episode.id) < score) {
+                        best.set(episode.id, score);
+                    }
+                }
+            });
+        });
+
+        return episodes
+            .filter(episode => best.has(episode.id))
+            .map(episode => ({ id: episode.id, score: best.get(episode.id) }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    return {
+        DEFAULT_FIELD_WEIGHTS,
+        normalizeText,
+        normalizeWithOffsets,
+        tokenize,
+        SearchIndex,
+        parseQuery,
+        getHighlightTerms,
+        createTermExpander,
+        executeQuery
+    };
+});
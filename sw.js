@@ -0,0 +1,179 @@
+/**
+ * Service Worker for Advanced Therapist Knowledge Platform
+ * Precaches the app shell, libraries and data so the platform works offline,
+ * and tells open pages when a newer episodes-index.json (generatedAt) arrives
+ */
+
+// Bump whenever a file in SHELL_FILES changes (app.js, index.html, styles.css,
+// ...) so that installed clients drop the old cache instead of serving it
+const CACHE_VERSION = 'v9';
+const CACHE_NAME = `advanced-therapist-${CACHE_VERSION}`;
+const INDEX_URL = 'data/episodes-index.json';
+
+// Required: installation fails if one of these cannot be fetched
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'search-core.js',
+    'schema-validator.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png',
+    'icon-maskable.svg',
+    'icon-maskable-192.png',
+    'icon-maskable-512.png',
+    INDEX_URL
+];
+
+// Cached when reachable; the app degrades without them
+const LIBRARY_URLS = [
+    'https://unpkg.com/vis-network@9.1.6/dist/vis-network.min.js',
+    'https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@300;400;500;700&family=Noto+Serif+JP:wght@400;500;700&display=swap'
+];
+
+function resolve(url) {
+    return new URL(url, self.registration.scope).href;
+}
+
+// Fetches past the HTTP cache; files that are missing (older data sets have
+// no search index) are skipped
+async function cacheOptional(cache, urls) {
+    await Promise.all(urls.map(url =>
+        cache.add(new Request(url, { cache: 'reload' })).catch(() => {})
+    ));
+}
+
+// Everything the index refers to: the auxiliary data and every episode body
+async function cacheData(cache, index) {
+    await cacheOptional(cache, [
+        'data/episodes-index.schema.json',
+        'data/themes.json',
+        'data/search-index.json',
+        'data/stats.json',
+        ...index.episodes.map(ep => `data/episodes/${encodeURIComponent(ep.id)}.json`)
+    ]);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+        await cacheOptional(cache, LIBRARY_URLS);
+        const index = await (await cache.match(INDEX_URL)).json();
+        await cacheData(cache, index);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('advanced-therapist-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Fetch the index from the network; when its generatedAt differs from the
+ * cached one, refresh the data files first, then swap in the index and tell
+ * the open pages. Resolves to the fresh Response, or null when offline.
+ */
+async function checkForUpdate() {
+    const cache = await caches.open(CACHE_NAME);
+    let response;
+    try {
+        response = await fetch(INDEX_URL, { cache: 'no-store' });
+    } catch (error) {
+        return null;
+    }
+    if (!response.ok) return null;
+
+    const fresh = await response.clone().json();
+    const cached = await cache.match(INDEX_URL);
+    const current = cached ? (await cached.json()).generatedAt : null;
+    if (fresh.generatedAt !== current) {
+        await cacheData(cache, fresh);
+        await cache.put(INDEX_URL, response.clone());
+
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({
+            type: 'index-updated',
+            generatedAt: fresh.generatedAt
+        }));
+    }
+    return response;
+}
+
+// Cached index right away (bad signal must not block the app), checked
+// against the network in the background
+async function serveIndex(event) {
+    const cached = await caches.match(INDEX_URL);
+    const update = checkForUpdate();
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+    return (await update) || fetch(event.request);
+}
+
+// Data files only change together with the index (see checkForUpdate)
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Shell and libraries: cached copy now, refreshed copy on the next load
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok || response.type === 'opaque') {
+                const cache = await caches.open(CACHE_NAME);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    const response = await refresh;
+    return response || (request.mode === 'navigate' ? caches.match('index.html') : Response.error());
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    // Audio is streamed with range requests, which the cache cannot answer
+    if (request.method !== 'GET' || request.headers.has('range') || request.destination === 'audio') return;
+
+    const url = new URL(request.url);
+    if (url.href === resolve(INDEX_URL)) {
+        event.respondWith(serveIndex(event));
+    } else if (url.href.startsWith(resolve('data/'))) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// Pages ask again when they come back online or to the foreground
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'check-for-update') {
+        event.waitUntil(checkForUpdate());
+    }
+});
@@ -0,0 +1,292 @@
+/**
+ * Theme & Keyword Taxonomy for Advanced Therapist Knowledge Platform
+ * Loads taxonomy.json (synonyms, hierarchy, exclusions, minimum counts)
+ * and matches its terms against episode text
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('./schema-validator');
+
+const TERM_PROPERTIES = {
+    name: { type: 'string', minLength: 1 },
+    synonyms: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+    exclude: { type: 'array', items: { type: 'string', minLength: 1 } },
+    minOccurrences: { type: 'integer', minimum: 1 },
+    // Sample sentences checked on load: the term must occur in every "match" one
+    // and in no "noMatch" one
+    examples: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            match: { type: 'array', items: { type: 'string', minLength: 1 } },
+            noMatch: { type: 'array', items: { type: 'string', minLength: 1 } }
+        }
+    }
+};
+
+const TAXONOMY_SCHEMA = {
+    type: 'object',
+    required: ['categories', 'themes', 'keywords'],
+    properties: {
+        $comment: { type: 'string' },
+        defaults: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                minOccurrences: { type: 'integer', minimum: 1 }
+            }
+        },
+        categories: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'label'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string', pattern: '^[a-z0-9-]+$' },
+                    label: { type: 'string', minLength: 1 }
+                }
+            }
+        },
+        themes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    ...TERM_PROPERTIES,
+                    category: { type: 'string' },
+                    parent: { type: 'string' }
+                }
+            }
+        },
+        keywords: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: TERM_PROPERTIES
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+// Latin-only terms (PT, EBM) must not match inside longer words (PTSD)
+const LATIN_TERM_PATTERN = /^[\x20-\x7e]+$/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileTerm(entry, defaults) {
+    // Longest first so "フィジオセラピスト" wins over "フィジオ"
+    const forms = [entry.name, ...(entry.synonyms || [])]
+        .map(form => form.normalize('NFKC'))
+        .sort((a, b) => b.length - a.length);
+    const alternatives = forms.map(form => LATIN_TERM_PATTERN.test(form)
+        ? `(?<![A-Za-z0-9])${escapeRegExp(form)}(?![A-Za-z0-9])`
+        : escapeRegExp(form));
+
+    return {
+        name: entry.name,
+        synonyms: entry.synonyms || [],
+        pattern: new RegExp(alternatives.join('|'), 'gu'),
+        exclude: (entry.exclude || []).map(source => new RegExp(source, 'gu')),
+        minOccurrences: entry.minOccurrences || defaults.minOccurrences || 1
+    };
+}
+
+// Occurrences of a term after blanking out its exclusion patterns
+function countOccurrences(term, text) {
+    const searchable = term.exclude.reduce((current, pattern) => current.replace(pattern, ' '), text);
+    return (searchable.match(term.pattern) || []).length;
+}
+
+// Semantic checks the schema cannot express; returns a list of messages
+function checkReferences(config) {
+    const messages = [];
+    const categoryIds = new Set(config.categories.map(category => category.id));
+    const themeNames = new Set();
+
+    ['themes', 'keywords'].forEach(kind => {
+        const owners = new Map();
+        config[kind].forEach((entry, i) => {
+            [entry.name, ...(entry.synonyms || [])].forEach(form => {
+                if (owners.has(form)) {
+                    messages.push(`${kind}[${i}]: "${form}" is already used by "${owners.get(form)}"`);
+                } else {
+                    owners.set(form, entry.name);
+                }
+            });
+            (entry.exclude || []).forEach(source => {
+                try {
+                    new RegExp(source, 'u');
+                } catch (error) {
+                    messages.push(`${kind}[${i}]: invalid exclude pattern ${source} (${error.message})`);
+                }
+            });
+        });
+    });
+
+    config.themes.forEach(theme => themeNames.add(theme.name));
+    config.themes.forEach((theme, i) => {
+        if (theme.category && !categoryIds.has(theme.category)) {
+            messages.push(`themes[${i}]: unknown category "${theme.category}"`);
+        }
+        if (theme.parent && !themeNames.has(theme.parent)) {
+            messages.push(`themes[${i}]: unknown parent "${theme.parent}"`);
+        }
+    });
+
+    // Parent chains must end
+    const parents = new Map(config.themes.filter(t => t.parent).map(t => [t.name, t.parent]));
+    parents.forEach((parent, name) => {
+        const seen = new Set([name]);
+        let current = parent;
+        while (current) {
+            if (seen.has(current)) {
+                messages.push(`themes: "${name}" is its own ancestor`);
+                break;
+            }
+            seen.add(current);
+            current = parents.get(current);
+        }
+    });
+
+    return messages;
+}
+
+// Runs each term's examples through the same matching as episodes; returns failures
+function checkExamples(config) {
+    const messages = [];
+    const defaults = config.defaults || {};
+
+    ['themes', 'keywords'].forEach(kind => {
+        config[kind].forEach((entry, i) => {
+            if (!entry.examples) return;
+            const term = compileTerm(entry, defaults);
+            const count = text => countOccurrences(term, text.normalize('NFKC'));
+            (entry.examples.match || []).filter(text => count(text) === 0).forEach(text => {
+                messages.push(`${kind}[${i}]: "${entry.name}" does not match example "${text}"`);
+            });
+            (entry.examples.noMatch || []).filter(text => count(text) > 0).forEach(text => {
+                messages.push(`${kind}[${i}]: "${entry.name}" matches noMatch example "${text}"`);
+            });
+        });
+    });
+
+    return messages;
+}
+
+class Taxonomy {
+    constructor(config) {
+        const defaults = config.defaults || {};
+        this.categories = config.categories;
+        this.themes = config.themes.map(entry => compileTerm(entry, defaults));
+        this.keywords = config.keywords.map(entry => compileTerm(entry, defaults));
+        this.themesByName = new Map(this.themes.map(term => [term.name, term]));
+        // Every spelling of a keyword or theme -> its canonical name
+        this.canonicalNames = new Map();
+        [...this.themes, ...this.keywords].forEach(term => {
+            [term.name, ...term.synonyms].forEach(form => {
+                this.canonicalNames.set(form.normalize('NFKC'), term.name);
+            });
+        });
+        this.parents = Object.fromEntries(
+            config.themes.filter(theme => theme.parent).map(theme => [theme.name, theme.parent])
+        );
+        this.themeCategory = new Map(config.themes.map(theme => [theme.name, theme.category]));
+    }
+
+    static load(filePath) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`${path.basename(filePath)}: ${error.message}`);
+        }
+
+        const messages = SchemaValidator.validate(TAXONOMY_SCHEMA, config)
+            .map(error => `${error.path || '(root)'}: ${error.message}`);
+        if (messages.length === 0) {
+            messages.push(...checkReferences(config));
+        }
+        if (messages.length === 0) {
+            messages.push(...checkExamples(config));
+        }
+        if (messages.length > 0) {
+            throw new Error(`${path.basename(filePath)}: ${messages.join('; ')}`);
+        }
+        return new Taxonomy(config);
+    }
+
+    // Canonical names of the terms that occur often enough in text, in taxonomy order
+    match(terms, text) {
+        const normalized = String(text).normalize('NFKC');
+        return terms
+            .filter(term => countOccurrences(term, normalized) >= term.minOccurrences)
+            .map(term => term.name);
+    }
+
+    matchThemes(text) {
+        return this.match(this.themes, text);
+    }
+
+    matchKeywords(text) {
+        return this.match(this.keywords, text);
+    }
+
+    // How often a theme (any of its forms) occurs in text
+    countTheme(name, text) {
+        const term = this.themesByName.get(name);
+        return term ? countOccurrences(term, String(text).normalize('NFKC')) : 0;
+    }
+
+    canonicalName(form) {
+        return this.canonicalNames.get(form) || form;
+    }
+
+    // Explicit category, else the category of the nearest ancestor that has one
+    getCategory(theme) {
+        let current = theme;
+        while (current) {
+            if (this.themeCategory.get(current)) return this.themeCategory.get(current);
+            current = this.parents[current];
+        }
+        return null;
+    }
+
+    // Known themes first in taxonomy order (children right after their parent),
+    // then themes the taxonomy does not know, alphabetically
+    orderThemes(themes) {
+        const present = new Set(themes);
+        const ordered = [];
+        const visitTheme = name => {
+            if (present.has(name) && !ordered.includes(name)) ordered.push(name);
+            this.themes
+                .filter(term => this.parents[term.name] === name)
+                .forEach(term => visitTheme(term.name));
+        };
+        this.themes
+            .filter(term => !this.parents[term.name])
+            .forEach(term => visitTheme(term.name));
+
+        return [...ordered, ...themes.filter(theme => !ordered.includes(theme)).sort()];
+    }
+
+    // Synonym lists of the given terms, for the client-side query expansion
+    getSynonyms(terms, names) {
+        return Object.fromEntries(terms
+            .filter(term => names.includes(term.name) && term.synonyms.length > 0)
+            .map(term => [term.name, term.synonyms]));
+    }
+}
+
+module.exports = {
+    TAXONOMY_SCHEMA,
+    Taxonomy
+};